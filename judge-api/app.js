@@ -2,9 +2,54 @@ const express = require('express');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
-const { spawn } = require('child_process');
 
 const db = require('./db');
+const { createJobQueue } = require('./queue');
+const { publish, subscribe, hasSubscribers, openStream } = require('./events');
+const { createRateLimiter, createInFlightTracker, byIp, tooManyRequests } = require('./ratelimit');
+const { GRID_SIZES, parseSudokuGrid, formatSudokuGrid, compareSudokuOutput } = require('./sudoku');
+const { compareOutput } = require('./comparators');
+const { VARIANTS, normalizeVariantData, variantRegions, formatVariantData } = require('./variants');
+const { createNonce, createBatchParser, caseVerdict } = require('./results');
+const { DEFAULT_LANGUAGE, getLanguage, listLanguages, allLanguages } = require('./languages');
+const { initCompileCache, preparePrecompiledHeaders, compileWithCache, compileCacheStats } = require('./compilecache');
+const { DEFAULT_THRESHOLD: SIMILARITY_THRESHOLD, checkProblemSimilarity } = require('./similarity');
+const {
+  REJUDGE_SCOPES,
+  createRejudge,
+  recordRejudgeResult,
+  pendingRejudgeSubmissionIds,
+  listRejudges,
+  getRejudge
+} = require('./rejudge');
+const {
+  RANKING_POLICY,
+  updateRanking,
+  recalculateAllRankings,
+  getLeaderboard,
+  getUserRank,
+  getContestLeaderboard
+} = require('./ranking');
+const {
+  contestPhase,
+  freezeAt,
+  isFrozen,
+  getContest,
+  getContestProblems,
+  isRegistered,
+  checkSubmission,
+  publicContest
+} = require('./contests');
+const { hashPassword, verifyPassword, validatePassword, issueToken, requireAuth, requireAdmin, optionalAuth } = require('./auth');
+const {
+  SANDBOX_ENABLED,
+  COMPILE_LIMITS,
+  createSandbox,
+  spawnSandboxed,
+  runLimits,
+  splitTimeReport,
+  detectViolation
+} = require('./sandbox');
 
 // 디버깅 로그 제어 (환경변수로 활성화/비활성화)
 const DEBUG = process.env.DEBUG === 'true' || process.env.DEBUG === '1';
@@ -14,6 +59,42 @@ const debugLog = (...args) => {
 
 const app = express();
 app.use(express.json({ limit: '512kb' }));
+// nginx 뒤에서 실제 클라이언트 IP(X-Forwarded-For)를 req.ip 로 사용 (IP 기준 요청 제한)
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback, uniquelocal');
+
+// ---------- 요청 제한 (ratelimit.js, 값이 0 이면 제한 없음) ----------
+
+// 제출: 유저별 + IP별 (같은 IP 에서 여러 계정으로 몰아서 제출하는 경우)
+const submitRateLimit = createRateLimiter({
+  name: 'submit',
+  windowMs: Number(process.env.SUBMIT_RATE_WINDOW_MS || 60000),
+  max: Number(process.env.SUBMIT_RATE_LIMIT || 6)
+});
+const submitIpRateLimit = createRateLimiter({
+  name: 'submit',
+  windowMs: Number(process.env.SUBMIT_RATE_WINDOW_MS || 60000),
+  max: Number(process.env.SUBMIT_IP_RATE_LIMIT || 20),
+  key: byIp
+});
+// 유저별 동시에 채점 대기/진행 중(PENDING/RUNNING)일 수 있는 제출 수
+const SUBMIT_MAX_IN_FLIGHT = Number(process.env.SUBMIT_MAX_IN_FLIGHT || 2);
+// 확인 ~ INSERT 사이에 같은 유저의 요청이 동시에 들어와도 한도를 넘지 않도록 처리 중인 요청도 셈
+const submitInFlight = createInFlightTracker({ key: req => req.user.id });
+
+// 테스트 실행(POST /run)
+const runRateLimit = createRateLimiter({
+  name: 'run',
+  windowMs: Number(process.env.RUN_RATE_WINDOW_MS || 60000),
+  max: Number(process.env.RUN_RATE_LIMIT || 10)
+});
+
+// 회원가입/로그인/계정 전환: IP별 (비밀번호 대입 방지)
+const authRateLimit = createRateLimiter({
+  name: 'auth',
+  windowMs: Number(process.env.AUTH_RATE_WINDOW_MS || 300000),
+  max: Number(process.env.AUTH_RATE_LIMIT || 20),
+  key: byIp
+});
 
 /**
  * Health check
@@ -30,40 +111,78 @@ app.get('/health', async (req, res) => {
 /**
  * Get leaderboard
  * GET /leaderboard?limit=100
+ * 응답: { policy, users } (policy = ranking.js 의 RANKING_POLICY, 동점자는 같은 순위)
  */
 app.get('/leaderboard', async (req, res) => {
   try {
     const limit = Math.min(Number(req.query.limit || 100), 1000); // 최대 1000개로 제한
-    
-    const [rows] = await db.query(
-      `SELECT 
-        u.id,
-        u.username,
-        u.\`rank\`,
-        u.total_time_ms,
-        u.total_memory_kb,
-        (SELECT COUNT(DISTINCT s.problem_id) FROM submissions s WHERE s.user_id = u.id AND s.status = 'AC') as solved_count
-       FROM users u
-       WHERE u.\`rank\` IS NOT NULL
-       ORDER BY u.\`rank\` ASC
-       LIMIT ?`,
-      [limit]
-    );
+    res.json(await leaderboardSnapshot(null, limit));
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
 
-    res.json(rows);
+/**
+ * My rank (랭킹에 없으면 rank: null)
+ * GET /leaderboard/me
+ */
+app.get('/leaderboard/me', requireAuth, async (req, res) => {
+  try {
+    const row = await getUserRank(req.user.id);
+    res.json(row || { id: req.user.id, username: req.user.username, rank: null });
   } catch (e) {
     res.status(500).json({ error: String(e) });
   }
 });
 
+/**
+ * Leaderboard stream (SSE)
+ * GET /leaderboard/events?limit=100
+ * GET /contests/:id/leaderboard/events (프리즈 중에는 프리즈된 스코어보드)
+ *
+ * 연결 직후와 랭킹이 바뀔 때마다 `event: leaderboard` 로 GET /leaderboard 와 같은 내용을 보낸다.
+ */
+app.get('/leaderboard/events', async (req, res) => {
+  const limit = Math.min(Number(req.query.limit || 100), 1000);
+  let snapshot;
+  try {
+    snapshot = await leaderboardSnapshot(null, limit);
+  } catch (e) {
+    return res.status(500).json({ error: String(e) });
+  }
+
+  const stream = openStream(req, res);
+  stream.send('leaderboard', snapshot);
+  stream.onClose(subscribe(leaderboardTopic(null), (data) => {
+    stream.send('leaderboard', { ...data, users: data.users.slice(0, limit) });
+  }));
+});
+
+app.get('/contests/:id/leaderboard/events', async (req, res) => {
+  const contestId = Number(req.params.id);
+  const limit = Math.min(Number(req.query.limit || 100), 1000);
+  let snapshot;
+  try {
+    snapshot = await leaderboardSnapshot(contestId, limit);
+  } catch (e) {
+    return res.status(500).json({ error: String(e) });
+  }
+  if (!snapshot) return res.status(404).json({ error: 'contest not found' });
+
+  const stream = openStream(req, res);
+  stream.send('leaderboard', snapshot);
+  stream.onClose(subscribe(leaderboardTopic(contestId), (data) => {
+    stream.send('leaderboard', { ...data, users: data.users.slice(0, limit) });
+  }));
+});
+
 /**
  * Recalculate all rankings manually
- * POST /recalculate-rankings
- * GET /recalculate-rankings (for easy browser access)
+ * POST /recalculate-rankings (관리자 전용: 모든 유저의 집계를 다시 계산하므로 부하가 큼)
  */
-app.post('/recalculate-rankings', async (req, res) => {
+app.post('/recalculate-rankings', requireAdmin, async (req, res) => {
   try {
-    console.log('[API] Manual ranking recalculation requested (POST)');
+    console.log(`[API] Manual ranking recalculation requested by user ${req.user.id}`);
     await recalculateAllRankings();
     res.json({ ok: true, message: 'Rankings recalculated successfully' });
   } catch (e) {
@@ -72,34 +191,136 @@ app.post('/recalculate-rankings', async (req, res) => {
   }
 });
 
-app.get('/recalculate-rankings', async (req, res) => {
+/**
+ * Register a new account
+ * POST /auth/register
+ * body: { userName, password, phone? }
+ */
+app.post('/auth/register', authRateLimit, async (req, res) => {
+  const userName = String(req.body.userName || '').trim();
+  const password = req.body.password;
+  const phone = String(req.body.phone || '').trim() || null;
+
+  if (!userName || userName.length > 50) return res.status(400).json({ error: 'userName required (max 50 chars)' });
+  const pwError = validatePassword(password);
+  if (pwError) return res.status(400).json({ error: pwError });
+
   try {
-    console.log('[API] Manual ranking recalculation requested (GET)');
-    await recalculateAllRankings();
-    res.json({ ok: true, message: 'Rankings recalculated successfully' });
+    const [[taken]] = await db.query('SELECT id FROM users WHERE login_name=?', [userName]);
+    if (taken) return res.status(409).json({ error: 'userName already taken' });
+
+    const passwordHash = await hashPassword(password);
+    const [ins] = await db.query(
+      'INSERT INTO users(username, phone, login_name, password_hash) VALUES (?,?,?,?)',
+      [userName, phone, userName, passwordHash]
+    );
+    const user = { id: ins.insertId, username: userName, login_name: userName, token_version: 0 };
+    res.status(201).json({ token: issueToken(user), user: publicUser(user) });
   } catch (e) {
-    console.error('[API] Failed to recalculate rankings:', e);
+    if (e.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'userName already taken' });
     res.status(500).json({ error: String(e) });
   }
 });
 
 /**
- * Get user submissions list
- * GET /submissions?userName=...&phone=...&problemId=1
+ * Login
+ * POST /auth/login
+ * body: { userName, password }  (userName = 가입/계정 전환 시 정한 로그인 이름)
  */
-app.get('/submissions', async (req, res) => {
-  const userName = String(req.query.userName || '').trim();
-  const phone = String(req.query.phone || '').trim();
-  const problemId = req.query.problemId ? Number(req.query.problemId) : null;
+app.post('/auth/login', authRateLimit, async (req, res) => {
+  const loginName = String(req.body.userName || '').trim();
+  const password = String(req.body.password || '');
+  if (!loginName || !password) return res.status(400).json({ error: 'userName and password required' });
+
+  try {
+    const [[user]] = await db.query(
+      'SELECT id, username, login_name, password_hash, token_version, is_admin FROM users WHERE login_name=?',
+      [loginName]
+    );
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({ error: 'invalid userName or password' });
+    }
+    res.json({ token: issueToken(user), user: publicUser(user) });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Claim a legacy (username, phone) account by setting a password
+ * POST /auth/claim
+ * body: { userName, phone, password, loginName? }
+ *
+ * 비밀번호가 없는 기존 계정만 전환 가능. 같은 이름의 계정이 이미 로그인 이름을 쓰고 있으면
+ * loginName 으로 다른 로그인 이름을 지정해야 한다. (제출 기록/랭킹은 그대로 유지)
+ */
+app.post('/auth/claim', authRateLimit, async (req, res) => {
+  const userName = String(req.body.userName || '').trim();
+  const phone = String(req.body.phone || '').trim();
+  const password = req.body.password;
+  const loginName = String(req.body.loginName || '').trim() || userName;
 
   if (!userName || !phone) return res.status(400).json({ error: 'userName and phone required' });
+  if (loginName.length > 50) return res.status(400).json({ error: 'loginName max 50 chars' });
+  const pwError = validatePassword(password);
+  if (pwError) return res.status(400).json({ error: pwError });
+
+  try {
+    const [[user]] = await db.query(
+      'SELECT id, username, token_version, is_admin FROM users WHERE username=? AND phone=? AND password_hash IS NULL',
+      [userName, phone]
+    );
+    if (!user) return res.status(404).json({ error: 'no unclaimed account for this userName and phone' });
+
+    const [[taken]] = await db.query('SELECT id FROM users WHERE login_name=?', [loginName]);
+    if (taken) return res.status(409).json({ error: 'loginName already taken, choose another loginName' });
+
+    const passwordHash = await hashPassword(password);
+    const [upd] = await db.query(
+      'UPDATE users SET login_name=?, password_hash=? WHERE id=? AND password_hash IS NULL',
+      [loginName, passwordHash, user.id]
+    );
+    if (upd.affectedRows === 0) return res.status(409).json({ error: 'account already claimed' });
+
+    const claimed = { ...user, login_name: loginName };
+    res.json({ token: issueToken(claimed), user: publicUser(claimed) });
+  } catch (e) {
+    if (e.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'loginName already taken, choose another loginName' });
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Logout (모든 기기의 토큰 무효화)
+ * POST /auth/logout
+ */
+app.post('/auth/logout', requireAuth, async (req, res) => {
+  try {
+    await db.query('UPDATE users SET token_version = token_version + 1 WHERE id=?', [req.user.id]);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Current user
+ * GET /auth/me
+ */
+app.get('/auth/me', requireAuth, (req, res) => {
+  res.json(publicUser(req.user));
+});
 
-  const [[user]] = await db.query('SELECT id FROM users WHERE username=? AND phone=?', [userName, phone]);
-  if (!user) return res.json([]);
+/**
+ * Get my submissions list
+ * GET /submissions?problemId=1
+ */
+app.get('/submissions', requireAuth, async (req, res) => {
+  const problemId = req.query.problemId ? Number(req.query.problemId) : null;
 
-  const params = [user.id];
+  const params = [req.user.id];
   let sql = `
-    SELECT id, problem_id, language, status, exec_time_ms, memory_kb, created_at
+    SELECT id, problem_id, contest_id, language, status, exec_time_ms, memory_kb, created_at
     FROM submissions
     WHERE user_id=?
   `;
@@ -107,69 +328,1000 @@ app.get('/submissions', async (req, res) => {
     sql += ' AND problem_id=?';
     params.push(problemId);
   }
-  sql += ' ORDER BY created_at DESC LIMIT 50';
+  sql += ' ORDER BY created_at DESC LIMIT 50';
+
+  const [rows] = await db.query(sql, params);
+  res.json(rows);
+});
+
+/**
+ * Supported languages (제출 폼 언어 선택용)
+ * GET /languages
+ */
+app.get('/languages', (req, res) => {
+  res.json(listLanguages());
+});
+
+/**
+ * Submit code
+ * POST /submit (로그인 필요)
+ * body: { problemId, code, language?, contestId? }
+ * contestId: 대회 제출 (등록 + 진행 중일 때만, contests.js 의 checkSubmission 참고)
+ *
+ * 제출을 PENDING 으로 저장하고 바로 submissionId 를 반환한다.
+ * 실제 채점은 judgeQueue 에서 백그라운드로 진행되며, 결과는 GET /submissions/:id 로 조회한다.
+ *
+ * 요청 제한: 유저별 SUBMIT_RATE_LIMIT / IP별 SUBMIT_IP_RATE_LIMIT 회 (SUBMIT_RATE_WINDOW_MS 동안),
+ * 채점이 끝나지 않은 제출은 유저별 SUBMIT_MAX_IN_FLIGHT 개까지 (초과 시 429 + Retry-After)
+ */
+app.post('/submit', requireAuth, submitIpRateLimit, submitRateLimit, submitInFlight, async (req, res) => {
+  const problemId = Number(req.body.problemId);
+  const code = String(req.body.code || '');
+  const language = String(req.body.language || DEFAULT_LANGUAGE);
+  const contestId = req.body.contestId != null && req.body.contestId !== '' ? Number(req.body.contestId) : null;
+
+  if (!problemId || !code.trim()) {
+    return res.status(400).json({ error: 'problemId, code required' });
+  }
+  if (contestId !== null && !(Number.isInteger(contestId) && contestId > 0)) {
+    return res.status(400).json({ error: 'invalid contestId' });
+  }
+  if (!getLanguage(language)) {
+    return res.status(400).json({ error: `unsupported language: ${language}` });
+  }
+
+  try {
+    const inFlight = await countInFlightSubmissions(req.user.id);
+    if (SUBMIT_MAX_IN_FLIGHT > 0 && inFlight >= SUBMIT_MAX_IN_FLIGHT) {
+      return tooManyRequests(
+        res,
+        `too many submissions in progress (max ${SUBMIT_MAX_IN_FLIGHT}), wait for them to finish`,
+        SUBMIT_IN_FLIGHT_RETRY_SEC
+      );
+    }
+
+    const [[problem]] = await db.query('SELECT id FROM problems WHERE id=?', [problemId]);
+    if (!problem) return res.status(404).json({ error: 'problem not found' });
+
+    const [[{ caseCount }]] = await db.query('SELECT COUNT(*) AS caseCount FROM test_cases WHERE problem_id=?', [problemId]);
+    if (caseCount === 0) return res.status(500).json({ error: 'no test cases for this problem' });
+
+    const denied = await checkSubmission({ userId: req.user.id, problemId, contestId });
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    const stats = judgeQueue.stats();
+    if (stats.waiting >= stats.maxQueued) {
+      res.set('Retry-After', '10');
+      return res.status(503).json({ error: 'judge queue is full, try again later' });
+    }
+
+    const userId = req.user.id;
+
+    // create submission record
+    const [subIns] = await db.query(
+      'INSERT INTO submissions(user_id, problem_id, contest_id, code, language, status) VALUES (?,?,?,?,?,?)',
+      [userId, problemId, contestId, code, language, 'PENDING']
+    );
+    const submissionId = subIns.insertId;
+
+    // 위의 확인 뒤 INSERT 를 기다리는 동안 다른 요청이 큐를 채웠으면 제출을 되돌림 (PENDING 으로 남지 않도록)
+    if (!judgeQueue.push({ id: submissionId })) {
+      await db.query('DELETE FROM submissions WHERE id=?', [submissionId]);
+      res.set('Retry-After', '10');
+      return res.status(503).json({ error: 'judge queue is full, try again later' });
+    }
+
+    res.status(202).json({
+      submissionId,
+      status: 'PENDING',
+      queuePosition: judgeQueue.position(submissionId),
+      totalCases: caseCount
+    });
+  } catch (e) {
+    console.error('[Submit] Failed to create submission:', e);
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Test run (제출 기록/랭킹에 남지 않음)
+ * POST /run (로그인 필요, RUN_RATE_LIMIT 회 / RUN_RATE_WINDOW_MS)
+ * body: { problemId, code, language?, input?, variantData?, contestId? }
+ * 대회 문제는 제출과 같은 조건에서만 실행 가능 (등록 + 진행 중, contests.js 의 checkSubmission)
+ *
+ * input 이 있으면 그 입력 하나로, 없으면 문제의 예제 케이스(is_sample = 1)로 실행한다.
+ * 함수형 문제는 제출과 같은 하네스(buildWrappedCode)로 실행하고,
+ * 직접 입력한 그리드는 정답 대신 "힌트와 변형 규칙을 지킨 올바른 스도쿠인지"(valid 모드)로 판정한다.
+ * killer / jigsaw 문제에 직접 입력할 때는 variantData(케이지 / 영역)도 함께 보내야 한다.
+ */
+app.post('/run', requireAuth, runRateLimit, async (req, res) => {
+  const problemId = Number(req.body.problemId);
+  const code = String(req.body.code || '');
+  const language = String(req.body.language || DEFAULT_LANGUAGE);
+  const input = req.body.input != null && String(req.body.input).trim() ? String(req.body.input) : null;
+  const contestId = req.body.contestId != null && req.body.contestId !== '' ? Number(req.body.contestId) : null;
+
+  if (!problemId || !code.trim()) {
+    return res.status(400).json({ error: 'problemId, code required' });
+  }
+  if (contestId !== null && !(Number.isInteger(contestId) && contestId > 0)) {
+    return res.status(400).json({ error: 'invalid contestId' });
+  }
+  const lang = getLanguage(language);
+  if (!lang) {
+    return res.status(400).json({ error: `unsupported language: ${language}` });
+  }
+
+  try {
+    const [[problem]] = await db.query('SELECT * FROM problems WHERE id=?', [problemId]);
+    if (!problem) return res.status(404).json({ error: 'problem not found' });
+
+    const denied = await checkSubmission({ userId: req.user.id, problemId, contestId });
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    let cases;
+    if (input != null) {
+      const custom = customRunCase(input, problem, req.body.variantData);
+      if (custom.error) return res.status(400).json({ error: custom.error });
+      cases = [custom.tc];
+    } else {
+      [cases] = await db.query(
+        'SELECT * FROM test_cases WHERE problem_id=? AND is_sample=1 ORDER BY id',
+        [problemId]
+      );
+      if (cases.length === 0) return res.status(400).json({ error: 'no sample cases for this problem, provide input' });
+    }
+
+    const result = await new Promise((resolve, reject) => {
+      const accepted = runQueue.push({
+        id: `run-${++runSeq}`,
+        run: () => runCustom({ problem, lang, code, cases }).then(resolve, reject)
+      });
+      if (!accepted) resolve(null);
+    });
+    if (!result) return res.status(503).json({ error: 'run queue is full, try again later' });
+
+    res.json(result);
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Get submission status and per-case results
+ * GET /submissions/:id
+ *
+ * - 예제 케이스(is_sample = 1): 입력/정답/실제 출력까지, 숨김 케이스: 결과와 시간만
+ * - 소스 코드와 stderr 는 제출자 본인만
+ * - 진행 중인 대회의 제출은 본인(과 관리자)만 조회 가능
+ */
+app.get('/submissions/:id', optionalAuth, async (req, res) => {
+  const submissionId = Number(req.params.id);
+  if (!Number.isInteger(submissionId) || submissionId <= 0) {
+    return res.status(400).json({ error: 'invalid submission id' });
+  }
+
+  try {
+    const view = await loadSubmissionView(submissionId, req.user);
+    if (!view) return res.status(404).json({ error: 'submission not found' });
+    res.json(view);
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Submission verdict stream (SSE, 본인 제출만)
+ * GET /submissions/:id/events
+ *
+ * 연결 직후와 상태/대기 순번이 바뀔 때마다 `event: status` 로 GET /submissions/:id 와 같은 내용을 보내고,
+ * 채점이 끝나면(done: true) 스트림을 닫는다.
+ */
+app.get('/submissions/:id/events', requireAuth, async (req, res) => {
+  const submissionId = Number(req.params.id);
+  if (!Number.isInteger(submissionId) || submissionId <= 0) {
+    return res.status(400).json({ error: 'invalid submission id' });
+  }
+
+  let view;
+  try {
+    view = await loadSubmissionView(submissionId, req.user);
+  } catch (e) {
+    return res.status(500).json({ error: String(e) });
+  }
+  if (!view || !view.isOwner) return res.status(404).json({ error: 'submission not found' });
+
+  const stream = openStream(req, res);
+  stream.send('status', view);
+  if (view.done) return stream.close();
+
+  // 이벤트가 몰려도 조회는 한 번에 하나씩 (마지막 상태만 다시 조회)
+  let busy = false;
+  let again = false;
+  const refresh = async () => {
+    if (busy) {
+      again = true;
+      return;
+    }
+    busy = true;
+    try {
+      do {
+        again = false;
+        const next = await loadSubmissionView(submissionId, req.user);
+        if (!next || stream.closed) return;
+        stream.send('status', next);
+        if (next.done) return stream.close();
+      } while (again);
+    } catch (e) {
+      console.error(`[Events] Failed to load submission ${submissionId}:`, e);
+    } finally {
+      busy = false;
+    }
+  };
+
+  stream.onClose(subscribe(submissionTopic(submissionId), refresh));
+  stream.onClose(subscribe('queue', refresh));
+});
+
+// ---------- contests ----------
+
+/**
+ * List contests
+ * GET /contests
+ */
+app.get('/contests', async (req, res) => {
+  try {
+    const [rows] = await db.query('SELECT * FROM contests ORDER BY start_at DESC, id DESC');
+    const now = new Date();
+    res.json(rows.map(c => publicContest(c, now)));
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Contest detail (문제 목록은 시작 후에만 공개, 관리자는 항상)
+ * GET /contests/:id
+ */
+app.get('/contests/:id', optionalAuth, async (req, res) => {
+  try {
+    const contest = await getContest(Number(req.params.id));
+    if (!contest) return res.status(404).json({ error: 'contest not found' });
+
+    const info = publicContest(contest);
+    const isAdmin = !!(req.user && req.user.is_admin);
+    const [[{ participants }]] = await db.query(
+      'SELECT COUNT(*) AS participants FROM contest_registrations WHERE contest_id=?',
+      [contest.id]
+    );
+
+    res.json({
+      ...info,
+      participants,
+      registered: req.user ? await isRegistered(contest.id, req.user.id) : false,
+      problems: info.phase !== 'upcoming' || isAdmin ? await getContestProblems(contest.id) : null
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Register for a contest (종료 전까지 가능)
+ * POST /contests/:id/register
+ */
+app.post('/contests/:id/register', requireAuth, async (req, res) => {
+  try {
+    const contest = await getContest(Number(req.params.id));
+    if (!contest) return res.status(404).json({ error: 'contest not found' });
+    if (contestPhase(contest) === 'ended') return res.status(403).json({ error: 'contest has ended' });
+
+    await db.query(
+      'INSERT IGNORE INTO contest_registrations(contest_id, user_id) VALUES (?,?)',
+      [contest.id, req.user.id]
+    );
+    res.json({ ok: true, contestId: contest.id });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Contest leaderboard (전체 랭킹과 같은 기준, 대회 중 제출만 집계)
+ * GET /contests/:id/leaderboard?limit=100
+ * 프리즈 중에는 프리즈 시작 전 제출만 반영 (관리자는 전체)
+ */
+app.get('/contests/:id/leaderboard', optionalAuth, async (req, res) => {
+  try {
+    const contest = await getContest(Number(req.params.id));
+    if (!contest) return res.status(404).json({ error: 'contest not found' });
+
+    const limit = Math.min(Number(req.query.limit || 100), 1000);
+    res.json(await contestLeaderboardView(contest, { limit, unfrozen: !!(req.user && req.user.is_admin) }));
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ---------- admin (문제/테스트케이스 관리, users.is_admin 필요) ----------
+
+/**
+ * List problems with test case counts
+ * GET /admin/problems
+ */
+app.get('/admin/problems', requireAdmin, async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT p.*,
+        (SELECT COUNT(*) FROM test_cases t WHERE t.problem_id = p.id) AS case_count,
+        (SELECT COUNT(*) FROM test_cases t WHERE t.problem_id = p.id AND t.is_sample = 1) AS sample_count
+       FROM problems p
+       ORDER BY p.id`
+    );
+    res.json(rows.map(adminProblem));
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Create a problem
+ * POST /admin/problems
+ * body: { title, description?, timeLimitMs?, memoryLimitKb?, checkerMode?, judgeType?, comparator?, gridSize?, variant? }
+ */
+app.post('/admin/problems', requireAdmin, async (req, res) => {
+  const { fields, error } = problemFields(req.body, PROBLEM_DEFAULTS);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const [ins] = await db.query(
+      `INSERT INTO problems(title, description, time_limit_ms, memory_limit_kb, checker_mode, judge_type, comparator, grid_size, variant)
+       VALUES (?,?,?,?,?,?,?,?,?)`,
+      [fields.title, fields.description, fields.time_limit_ms, fields.memory_limit_kb,
+        fields.checker_mode, fields.judge_type, fields.comparator, fields.grid_size, fields.variant]
+    );
+    const [[problem]] = await db.query('SELECT * FROM problems WHERE id=?', [ins.insertId]);
+    res.status(201).json(adminProblem(problem));
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Edit a problem (보낸 필드만 변경)
+ * PUT /admin/problems/:id
+ * 테스트케이스가 있는 문제는 gridSize / variant 를 바꿀 수 없음 (기존 케이스가 그 크기와 규칙으로 검증되어 있으므로)
+ */
+app.put('/admin/problems/:id', requireAdmin, async (req, res) => {
+  const problemId = Number(req.params.id);
+
+  try {
+    const [[current]] = await db.query('SELECT * FROM problems WHERE id=?', [problemId]);
+    if (!current) return res.status(404).json({ error: 'problem not found' });
+
+    const { fields, error } = problemFields(req.body, current);
+    if (error) return res.status(400).json({ error });
+
+    if (fields.grid_size !== Number(current.grid_size) || fields.variant !== current.variant) {
+      const [[{ caseCount }]] = await db.query('SELECT COUNT(*) AS caseCount FROM test_cases WHERE problem_id=?', [problemId]);
+      if (Number(caseCount) > 0) {
+        return res.status(409).json({ error: 'gridSize and variant cannot be changed while the problem has test cases' });
+      }
+    }
+
+    await db.query(
+      `UPDATE problems
+       SET title=?, description=?, time_limit_ms=?, memory_limit_kb=?, checker_mode=?, judge_type=?, comparator=?, grid_size=?, variant=?
+       WHERE id=?`,
+      [fields.title, fields.description, fields.time_limit_ms, fields.memory_limit_kb,
+        fields.checker_mode, fields.judge_type, fields.comparator, fields.grid_size, fields.variant, problemId]
+    );
+    const [[problem]] = await db.query('SELECT * FROM problems WHERE id=?', [problemId]);
+    res.json(adminProblem(problem));
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Delete a problem (테스트케이스/제출 기록도 함께 삭제됨: ON DELETE CASCADE)
+ * DELETE /admin/problems/:id
+ */
+app.delete('/admin/problems/:id', requireAdmin, async (req, res) => {
+  try {
+    const [del] = await db.query('DELETE FROM problems WHERE id=?', [Number(req.params.id)]);
+    if (del.affectedRows === 0) return res.status(404).json({ error: 'problem not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * List test cases of a problem
+ * GET /admin/problems/:id/test-cases
+ */
+app.get('/admin/problems/:id/test-cases', requireAdmin, async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      'SELECT * FROM test_cases WHERE problem_id=? ORDER BY id',
+      [Number(req.params.id)]
+    );
+    res.json(rows.map(adminTestCase));
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Bulk upload test cases
+ * POST /admin/problems/:id/test-cases
+ * body: { testCases: [{ input, expectedOutput, isSample?, checkerMode? }], replace? }
+ *
+ * 하나라도 검증에 실패하면 아무것도 저장하지 않고 400 + 케이스별 오류를 반환한다.
+ * replace: true 이면 기존 테스트케이스를 모두 지우고 교체 (한 트랜잭션)
+ */
+app.post('/admin/problems/:id/test-cases', requireAdmin, async (req, res) => {
+  const problemId = Number(req.params.id);
+  const testCases = req.body.testCases;
+  if (!Array.isArray(testCases) || testCases.length === 0) {
+    return res.status(400).json({ error: 'testCases must be a non-empty array' });
+  }
+  if (testCases.length > ADMIN_MAX_TEST_CASES) {
+    return res.status(400).json({ error: `too many test cases (max ${ADMIN_MAX_TEST_CASES})` });
+  }
+
+  let conn;
+  try {
+    const [[problem]] = await db.query('SELECT * FROM problems WHERE id=?', [problemId]);
+    if (!problem) return res.status(404).json({ error: 'problem not found' });
+
+    const rows = [];
+    const errors = [];
+    testCases.forEach((tc, index) => {
+      const { row, error } = testCaseFields(tc, problem);
+      if (error) errors.push({ index, error });
+      else rows.push(row);
+    });
+    if (errors.length > 0) return res.status(400).json({ error: 'invalid test cases', details: errors });
+
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+    if (req.body.replace) {
+      await conn.query('DELETE FROM test_cases WHERE problem_id=?', [problemId]);
+    }
+    await conn.query(
+      'INSERT INTO test_cases(problem_id, input_text, expected_output, is_sample, checker_mode, variant_data) VALUES ?',
+      [rows.map(r => [problemId, r.input_text, r.expected_output, r.is_sample, r.checker_mode, r.variant_data])]
+    );
+    await conn.commit();
+
+    res.status(201).json({ inserted: rows.length, replaced: !!req.body.replace });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    res.status(500).json({ error: String(e) });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+/**
+ * Edit a test case (보낸 필드만 변경, 입력/정답은 다시 검증)
+ * PUT /admin/test-cases/:id
+ * body: { input?, expectedOutput?, isSample?, checkerMode?, variantData? }
+ */
+app.put('/admin/test-cases/:id', requireAdmin, async (req, res) => {
+  const testCaseId = Number(req.params.id);
+
+  try {
+    const [[current]] = await db.query('SELECT * FROM test_cases WHERE id=?', [testCaseId]);
+    if (!current) return res.status(404).json({ error: 'test case not found' });
+    const [[problem]] = await db.query('SELECT * FROM problems WHERE id=?', [current.problem_id]);
+
+    const merged = {
+      input: req.body.input !== undefined ? req.body.input : current.input_text,
+      expectedOutput: req.body.expectedOutput !== undefined ? req.body.expectedOutput : current.expected_output,
+      isSample: req.body.isSample !== undefined ? req.body.isSample : current.is_sample,
+      checkerMode: req.body.checkerMode !== undefined ? req.body.checkerMode : current.checker_mode,
+      variantData: req.body.variantData !== undefined ? req.body.variantData : variantDataOf(current)
+    };
+    const { row, error } = testCaseFields(merged, problem);
+    if (error) return res.status(400).json({ error });
+
+    await db.query(
+      'UPDATE test_cases SET input_text=?, expected_output=?, is_sample=?, checker_mode=?, variant_data=? WHERE id=?',
+      [row.input_text, row.expected_output, row.is_sample, row.checker_mode, row.variant_data, testCaseId]
+    );
+    const [[updated]] = await db.query('SELECT * FROM test_cases WHERE id=?', [testCaseId]);
+    res.json(adminTestCase(updated));
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Delete a test case
+ * DELETE /admin/test-cases/:id
+ */
+app.delete('/admin/test-cases/:id', requireAdmin, async (req, res) => {
+  try {
+    const [del] = await db.query('DELETE FROM test_cases WHERE id=?', [Number(req.params.id)]);
+    if (del.affectedRows === 0) return res.status(404).json({ error: 'test case not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Create a contest
+ * POST /admin/contests
+ * body: { title, description?, startAt, endAt, freezeMinutes?, problems?: [{ problemId, label? }] }
+ */
+app.post('/admin/contests', requireAdmin, async (req, res) => {
+  const { fields, error } = contestFields(req.body, CONTEST_DEFAULTS);
+  if (error) return res.status(400).json({ error });
+  const problems = contestProblemList(req.body.problems || []);
+  if (problems.error) return res.status(400).json({ error: problems.error });
+
+  let conn;
+  try {
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+    const [ins] = await conn.query(
+      'INSERT INTO contests(title, description, start_at, end_at, freeze_minutes) VALUES (?,?,?,?,?)',
+      [fields.title, fields.description, fields.start_at, fields.end_at, fields.freeze_minutes]
+    );
+    await setContestProblems(conn, ins.insertId, problems.list);
+    await conn.commit();
+
+    res.status(201).json(publicContest(await getContest(ins.insertId)));
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    if (e.code === 'ER_NO_REFERENCED_ROW_2') return res.status(400).json({ error: 'unknown problemId' });
+    res.status(500).json({ error: String(e) });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+/**
+ * Edit a contest (보낸 필드만 변경, problems 를 보내면 문제 목록 교체)
+ * PUT /admin/contests/:id
+ */
+app.put('/admin/contests/:id', requireAdmin, async (req, res) => {
+  const contestId = Number(req.params.id);
+
+  let conn;
+  try {
+    const current = await getContest(contestId);
+    if (!current) return res.status(404).json({ error: 'contest not found' });
+
+    const { fields, error } = contestFields(req.body, current);
+    if (error) return res.status(400).json({ error });
+    const problems = req.body.problems !== undefined ? contestProblemList(req.body.problems) : null;
+    if (problems && problems.error) return res.status(400).json({ error: problems.error });
+
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+    await conn.query(
+      'UPDATE contests SET title=?, description=?, start_at=?, end_at=?, freeze_minutes=? WHERE id=?',
+      [fields.title, fields.description, fields.start_at, fields.end_at, fields.freeze_minutes, contestId]
+    );
+    if (problems) await setContestProblems(conn, contestId, problems.list);
+    await conn.commit();
+
+    res.json(publicContest(await getContest(contestId)));
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    if (e.code === 'ER_NO_REFERENCED_ROW_2') return res.status(400).json({ error: 'unknown problemId' });
+    res.status(500).json({ error: String(e) });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+/**
+ * Delete a contest (대회 제출은 일반 제출로 남음: contest_id → NULL)
+ * DELETE /admin/contests/:id
+ */
+app.delete('/admin/contests/:id', requireAdmin, async (req, res) => {
+  try {
+    const [del] = await db.query('DELETE FROM contests WHERE id=?', [Number(req.params.id)]);
+    if (del.affectedRows === 0) return res.status(404).json({ error: 'contest not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Compile cache statistics (언어별 적중/미스, 미스 1회 평균 컴파일 시간, PCH 사용 여부)
+ * GET /admin/compile-cache
+ */
+app.get('/admin/compile-cache', requireAdmin, (req, res) => {
+  res.json(compileCacheStats());
+});
+
+/**
+ * Rejudge submissions (저장된 코드를 현재 테스트 케이스/제한으로 다시 채점, rejudge.js)
+ * POST /admin/rejudge
+ * body: { submissionId } | { userId } | { problemId } (하나만), reason?
+ *
+ * 기존 판정은 rejudge_items 에 남고, 제출마다 채점이 끝나면 해당 유저의 랭킹 집계를 다시 계산한다.
+ * 재채점은 새 제출보다 뒤에 실행된다 (judgeQueue 의 background 작업).
+ */
+app.post('/admin/rejudge', requireAdmin, async (req, res) => {
+  const targets = Object.keys(REJUDGE_SCOPES).filter(scope => req.body[`${scope}Id`] != null && req.body[`${scope}Id`] !== '');
+  if (targets.length !== 1) {
+    return res.status(400).json({ error: 'exactly one of submissionId, userId, problemId required' });
+  }
+  const scope = targets[0];
+  const targetId = Number(req.body[`${scope}Id`]);
+  if (!(Number.isInteger(targetId) && targetId > 0)) return res.status(400).json({ error: `invalid ${scope}Id` });
+  const reason = req.body.reason ? String(req.body.reason).slice(0, 255) : null;
+
+  try {
+    const { id, submissionIds } = await createRejudge({ scope, targetId, reason, requestedBy: req.user.id });
+    if (submissionIds.length === 0) {
+      return res.status(404).json({ error: 'no judged submissions to rejudge' });
+    }
+
+    for (const submissionId of submissionIds) {
+      judgeQueue.push({ id: submissionId, background: true, rejudge: true });
+      publish(submissionTopic(submissionId));
+    }
+    console.log(`[Rejudge] #${id}: ${scope} ${targetId}, ${submissionIds.length} submissions queued`);
+
+    res.status(202).json({ rejudgeId: id, scope, targetId, submissionCount: submissionIds.length });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * List rejudges (진행 상황, 판정이 바뀐 제출 수)
+ * GET /admin/rejudge?limit=50
+ */
+app.get('/admin/rejudge', requireAdmin, async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+  try {
+    res.json(await listRejudges(limit));
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Get a rejudge with old/new verdicts per submission
+ * GET /admin/rejudge/:id
+ */
+app.get('/admin/rejudge/:id', requireAdmin, async (req, res) => {
+  try {
+    const rejudge = await getRejudge(Number(req.params.id));
+    if (!rejudge) return res.status(404).json({ error: 'rejudge not found' });
+    res.json(rejudge);
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Run similarity check (같은 문제의 다른 유저 AC 제출끼리 비교, similarity.js)
+ * POST /admin/similarity/check
+ * body: { problemId, contestId?, threshold? (0~1, 기본 SIMILARITY_THRESHOLD) }
+ * 결과는 similarity_reports 에 저장 (이미 검토한 쌍은 상태 유지)
+ */
+app.post('/admin/similarity/check', requireAdmin, async (req, res) => {
+  const problemId = Number(req.body.problemId);
+  const contestId = req.body.contestId != null && req.body.contestId !== '' ? Number(req.body.contestId) : null;
+  const threshold = req.body.threshold != null && req.body.threshold !== '' ? Number(req.body.threshold) : SIMILARITY_THRESHOLD;
+
+  if (!problemId) return res.status(400).json({ error: 'problemId required' });
+  if (contestId !== null && !(Number.isInteger(contestId) && contestId > 0)) {
+    return res.status(400).json({ error: 'invalid contestId' });
+  }
+  if (!(threshold >= 0 && threshold <= 1)) return res.status(400).json({ error: 'threshold must be between 0 and 1' });
+
+  try {
+    const [[problem]] = await db.query('SELECT id FROM problems WHERE id=?', [problemId]);
+    if (!problem) return res.status(404).json({ error: 'problem not found' });
+
+    const result = await checkProblemSimilarity({ problemId, contestId, threshold });
+    res.json({ problemId, contestId, threshold, ...result });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * List similarity reports (유사도 높은 순)
+ * GET /admin/similarity?problemId=1&status=open&limit=100
+ */
+app.get('/admin/similarity', requireAdmin, async (req, res) => {
+  const conds = [];
+  const params = [];
+  if (req.query.problemId) {
+    conds.push('r.problem_id=?');
+    params.push(Number(req.query.problemId));
+  }
+  if (req.query.status) {
+    if (!REPORT_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({ error: `status must be one of ${REPORT_STATUSES.join(', ')}` });
+    }
+    conds.push('r.status=?');
+    params.push(req.query.status);
+  }
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+
+  try {
+    const [rows] = await db.query(
+      `SELECT r.*, ua.username AS user_a_name, ub.username AS user_b_name,
+              ua.disqualified AS user_a_disqualified, ub.disqualified AS user_b_disqualified
+       FROM similarity_reports r
+       JOIN users ua ON ua.id = r.user_a
+       JOIN users ub ON ub.id = r.user_b
+       ${conds.length ? `WHERE ${conds.join(' AND ')}` : ''}
+       ORDER BY r.similarity DESC, r.id ASC
+       LIMIT ?`,
+      [...params, limit]
+    );
+    res.json(rows.map(adminSimilarityReport));
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Get a similarity report with both sources
+ * GET /admin/similarity/:id
+ */
+app.get('/admin/similarity/:id', requireAdmin, async (req, res) => {
+  try {
+    const [[row]] = await db.query(
+      `SELECT r.*, ua.username AS user_a_name, ub.username AS user_b_name,
+              ua.disqualified AS user_a_disqualified, ub.disqualified AS user_b_disqualified,
+              sa.code AS code_a, sa.language AS language_a, sb.code AS code_b, sb.language AS language_b
+       FROM similarity_reports r
+       JOIN users ua ON ua.id = r.user_a
+       JOIN users ub ON ub.id = r.user_b
+       JOIN submissions sa ON sa.id = r.submission_a
+       JOIN submissions sb ON sb.id = r.submission_b
+       WHERE r.id=?`,
+      [Number(req.params.id)]
+    );
+    if (!row) return res.status(404).json({ error: 'report not found' });
+
+    const report = adminSimilarityReport(row);
+    report.a.code = row.code_a;
+    report.a.language = row.language_a;
+    report.b.code = row.code_b;
+    report.b.language = row.language_b;
+    res.json(report);
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Review a similarity report
+ * PUT /admin/similarity/:id
+ * body: { status: 'open' | 'flagged' | 'dismissed', note? }
+ */
+app.put('/admin/similarity/:id', requireAdmin, async (req, res) => {
+  const status = req.body.status;
+  if (!REPORT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${REPORT_STATUSES.join(', ')}` });
+  }
+  const note = req.body.note != null ? String(req.body.note).slice(0, 500) : null;
+
+  try {
+    const [upd] = await db.query(
+      `UPDATE similarity_reports
+       SET status=?, note=COALESCE(?, note), reviewed_by=?, reviewed_at=NOW()
+       WHERE id=?`,
+      [status, note, req.user.id, Number(req.params.id)]
+    );
+    if (upd.affectedRows === 0) return res.status(404).json({ error: 'report not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * Disqualify a user (또는 해제): 전체/대회 랭킹에서 제외, 제출 기록과 집계는 유지
+ * PUT /admin/users/:id/disqualification
+ * body: { disqualified: true | false, reason? }
+ */
+app.put('/admin/users/:id/disqualification', requireAdmin, async (req, res) => {
+  const userId = Number(req.params.id);
+  if (typeof req.body.disqualified !== 'boolean') {
+    return res.status(400).json({ error: 'disqualified must be true or false' });
+  }
+  const disqualified = req.body.disqualified;
+  const reason = disqualified && req.body.reason ? String(req.body.reason).slice(0, 255) : null;
+
+  try {
+    const [upd] = await db.query(
+      'UPDATE users SET disqualified=?, disqualified_reason=? WHERE id=?',
+      [disqualified ? 1 : 0, reason, userId]
+    );
+    if (upd.affectedRows === 0) return res.status(404).json({ error: 'user not found' });
+
+    // 유저가 속한 랭킹 스트림 갱신
+    scheduleLeaderboardPush(null);
+    const [contests] = await db.query('SELECT contest_id FROM contest_registrations WHERE user_id=?', [userId]);
+    for (const c of contests) scheduleLeaderboardPush(c.contest_id);
+
+    res.json({ id: userId, disqualified, reason });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ---------- judging ----------
+
+const JUDGE_CONCURRENCY = Math.max(1, Number(process.env.JUDGE_CONCURRENCY || Math.floor(os.cpus().length / 2) || 1));
+const JUDGE_QUEUE_LIMIT = Math.max(1, Number(process.env.JUDGE_QUEUE_LIMIT || 200));
+
+const judgeQueue = createJobQueue({
+  name: 'Judge',
+  concurrency: JUDGE_CONCURRENCY,
+  maxQueued: JUDGE_QUEUE_LIMIT,
+  worker: async (job) => {
+    // 대기 순번이 당겨짐 → 대기 중인 제출의 스트림 갱신
+    publish('queue');
+    try {
+      await judgeSubmission(job.id);
+    } catch (e) {
+      // 채점 도중 예외가 나도 제출이 PENDING/RUNNING 에 머물지 않도록 RE 처리
+      console.error(`[Judge] Submission ${job.id} failed:`, e);
+      await db.query(
+        `UPDATE submissions SET status='RE' WHERE id=? AND status IN ('PENDING','RUNNING')`,
+        [job.id]
+      );
+    } finally {
+      if (job.rejudge) await finishRejudgedSubmission(job.id);
+      publish(submissionTopic(job.id));
+    }
+  }
+});
+
+/**
+ * 재채점이 끝난 제출: 새 판정 기록 + 랭킹 집계 갱신
+ * (AC → WA 처럼 판정이 바뀌면 해결 수/오답 수가 달라지므로 판정과 관계없이 다시 계산)
+ */
+async function finishRejudgedSubmission(submissionId) {
+  try {
+    const done = await recordRejudgeResult(submissionId);
+    if (!done) return;
+    await updateRanking(done.userId);
+    scheduleLeaderboardPush(null);
+    if (done.contestId) scheduleLeaderboardPush(done.contestId);
+    if (done.oldStatus !== done.newStatus) {
+      console.log(`[Rejudge] #${done.rejudgeId}: submission ${submissionId} ${done.oldStatus} -> ${done.newStatus}`);
+    }
+    if (done.finished) console.log(`[Rejudge] #${done.rejudgeId} finished`);
+  } catch (e) {
+    console.error(`[Rejudge] Failed to record result of submission ${submissionId}:`, e);
+  }
+}
 
-  const [rows] = await db.query(sql, params);
-  res.json(rows);
+// 테스트 실행(POST /run)은 채점과 별도의 작은 큐에서 실행 (채점 대기열에 영향 없음)
+const RUN_CONCURRENCY = Math.max(1, Number(process.env.RUN_CONCURRENCY || 1));
+const RUN_QUEUE_LIMIT = Math.max(1, Number(process.env.RUN_QUEUE_LIMIT || 20));
+let runSeq = 0;
+
+const runQueue = createJobQueue({
+  name: 'Run',
+  concurrency: RUN_CONCURRENCY,
+  maxQueued: RUN_QUEUE_LIMIT,
+  worker: (job) => job.run()
 });
 
+// 유저별 채점 중인 제출 수 제한 (POST /submit)
+const SUBMIT_IN_FLIGHT_RETRY_SEC = 5;
+
+// PENDING/RUNNING 제출 수 + 처리 중인 다른 제출 요청 수 (자기 자신 제외, 관리자가 재채점 중인 제출은 세지 않음)
+async function countInFlightSubmissions(userId) {
+  const [[{ n }]] = await db.query(
+    `SELECT COUNT(*) AS n
+     FROM submissions s
+     WHERE s.user_id=? AND s.status IN ('PENDING','RUNNING')
+       AND NOT EXISTS (SELECT 1 FROM rejudge_items ri WHERE ri.submission_id = s.id AND ri.finished_at IS NULL)`,
+    [userId]
+  );
+  return Number(n) + Math.max(0, submitInFlight.count(userId) - 1);
+}
+
+function isPendingStatus(status) {
+  return status === 'PENDING' || status === 'RUNNING';
+}
+
 /**
- * Submit code
- * POST /submit
- * body: { userName, phone, problemId, code }
+ * 서버 재시작 등으로 채점되지 못한 제출을 다시 큐에 넣는다.
  */
-app.post('/submit', async (req, res) => {
-  const userName = String(req.body.userName || '').trim();
-  const phone = String(req.body.phone || '').trim();
-  const problemId = Number(req.body.problemId);
-  const code = String(req.body.code || '');
-
-  if (!userName || !phone || !problemId || !code.trim()) {
-    return res.status(400).json({ error: 'userName, phone, problemId, code required' });
+async function requeuePendingSubmissions() {
+  const [rows] = await db.query(
+    `SELECT id FROM submissions WHERE status IN ('PENDING','RUNNING') ORDER BY id`
+  );
+  // 재채점 중이던 제출은 background 로 (새 제출보다 뒤에)
+  const rejudging = new Set(await pendingRejudgeSubmissionIds());
+  for (const row of rows) {
+    judgeQueue.push(rejudging.has(row.id) ? { id: row.id, background: true, rejudge: true } : { id: row.id });
   }
+  if (rows.length > 0) console.log(`[Judge] Requeued ${rows.length} pending submissions (${rejudging.size} rejudging)`);
+}
 
-  const userId = await getOrCreateUser(userName, phone);
+/**
+ * 제출 1건 채점 (한 번 컴파일 후 모든 케이스 실행)
+ * 결과는 submissions / submission_results 에 저장된다.
+ */
+async function judgeSubmission(submissionId) {
+  const [[submission]] = await db.query(
+    'SELECT id, user_id, problem_id, contest_id, code, language FROM submissions WHERE id=?',
+    [submissionId]
+  );
+  if (!submission) return;
+
+  const userId = submission.user_id;
+  const code = submission.code;
+  const lang = getLanguage(submission.language);
+  if (!lang) {
+    console.error(`[Judge] Submission ${submissionId}: unsupported language ${submission.language}`);
+    await db.query('UPDATE submissions SET status=? WHERE id=?', ['CE', submissionId]);
+    return;
+  }
 
   // problem + cases load
-  const [[problem]] = await db.query('SELECT * FROM problems WHERE id=?', [problemId]);
-  if (!problem) return res.status(404).json({ error: 'problem not found' });
-
-  const [cases] = await db.query('SELECT * FROM test_cases WHERE problem_id=? ORDER BY id', [problemId]);
-  if (cases.length === 0) return res.status(500).json({ error: 'no test cases for this problem' });
+  const [[problem]] = await db.query('SELECT * FROM problems WHERE id=?', [submission.problem_id]);
+  const [cases] = await db.query('SELECT * FROM test_cases WHERE problem_id=? ORDER BY id', [submission.problem_id]);
+  if (!problem || cases.length === 0) {
+    console.error(`[Judge] Submission ${submissionId}: problem or test cases missing`);
+    await db.query('UPDATE submissions SET status=? WHERE id=?', ['RE', submissionId]);
+    return;
+  }
 
-  // create submission record
-  const [subIns] = await db.query(
-    'INSERT INTO submissions(user_id, problem_id, code, language, status) VALUES (?,?,?,?,?)',
-    [userId, problemId, code, 'cpp', 'PENDING']
-  );
-  const submissionId = subIns.insertId;
+  await db.query('UPDATE submissions SET status=? WHERE id=?', ['RUNNING', submissionId]);
+  publish(submissionTopic(submissionId));
+  // 재시작 후 다시 채점하는 경우 이전 결과 제거
+  await db.query('DELETE FROM submission_results WHERE submission_id=?', [submissionId]);
 
   // run all cases (한 번 컴파일 후 모든 케이스 실행)
   let overall = 'AC';
   let maxCaseTimeMs = null;
   let maxMemKb = null;
 
-  const caseResults = [];
   let lastStderr = '';
 
-  const perCaseLimitMs = Number(problem.time_limit_ms || 5000);
-  const totalLimitMs = Number(process.env.TOTAL_TIME_LIMIT_MS || 90000); // 기본 총합 90s (실행 시간 기준)
+  // 케이스별 제한 = 문제의 time_limit_ms × 언어 배수 (classic: 실행마다, function: 하네스 결과 줄 사이)
+  const caseLimitMs = Math.round(Number(problem.time_limit_ms || 5000) * lang.timeMultiplier);
+  // 기본 총합 90s (실행 시간 기준), 인터프리터/VM 언어는 배수 적용
+  const totalLimitMs = Math.round(Number(process.env.TOTAL_TIME_LIMIT_MS || 90000) * lang.timeMultiplier);
   const startedAt = Date.now(); // 전체 처리 시간 (로그/통계용)
   let totalElapsedMs = 0; // 전체 처리 시간
   let totalExecTimeMs = 0; // 실제 실행 시간 합계 (각 테스트 케이스의 실행 시간 합)
   let processedCases = 0;
   let execRes = null; // 실행 결과를 저장하여 나중에 사용
 
-  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpp-'));
-  const sourcePath = path.join(workDir, 'main.cpp');
-  const binaryPath = path.join(workDir, 'main');
+  // 제출 전용 uid + 비공개 작업 디렉터리 (sandbox.js)
+  const sandbox = createSandbox(`${lang.id}-`);
+  const sourcePath = path.join(sandbox.dir, lang.sourceFile);
+  const limits = {
+    ...runLimits({ timeLimitMs: totalLimitMs, memoryLimitKb: Number(problem.memory_limit_kb) || null }),
+    ...lang.runLimits
+  };
+  // function: solveSudoku 하네스로 모든 케이스를 한 번에 실행, classic: stdin/stdout 프로그램을 케이스마다 실행
+  const isClassic = problem.judge_type === 'classic';
 
   try {
-    // 한 번만 컴파일 (모든 케이스를 소스에 포함)
-    const wrapped = buildWrappedCode(code, cases);
-    fs.writeFileSync(sourcePath, wrapped, 'utf8');
+    // 한 번만 컴파일 (테스트 데이터는 소스에 넣지 않고 실행 시 stdin 으로 입력만 전달)
+    // classic 문제는 하네스 없이 사용자 프로그램을 그대로 컴파일
+    const source = isClassic ? code : buildWrappedCode(code, lang.id, gridSizeOf(problem), variantOf(problem));
+    fs.writeFileSync(sourcePath, source, 'utf8');
 
-    const compileRes = await runCompile(sourcePath, binaryPath, workDir);
+    const compileRes = await compileSource(sandbox, lang, source);
     if (!compileRes.ok) {
       overall = 'CE';
       // CE일 때는 stderr를 표시하지 않음
@@ -178,16 +1330,55 @@ app.post('/submit', async (req, res) => {
       const firstCaseId = cases[0].id;
       await db.query(
         `INSERT INTO submission_results
-         (submission_id, test_case_id, status, exec_time_ms, memory_kb, stdout, stderr)
-         VALUES (?,?,?,?,?,?,?)`,
-        [submissionId, firstCaseId, 'CE', null, null, '', '']
+         (submission_id, test_case_id, status, reason, exec_time_ms, time_limit_ms, memory_kb, stdout, stderr)
+         VALUES (?,?,?,?,?,?,?,?,?)`,
+        [submissionId, firstCaseId, 'CE', 'compile_error', null, null, null, '', '']
       );
+    } else if (isClassic) {
+      // classic: 케이스마다 프로그램을 한 번씩 실행 (stdin 으로 input_text + 변형 데이터, stdout 을 comparator 로 비교)
+      const caseLimits = { ...limits, cpuSec: Math.ceil(caseLimitMs / 1000) + 1 };
+      const runCmd = lang.run(sandbox.dir, caseLimits);
+      const insertValues = [];
+
+      for (const tc of cases) {
+        execRes = await runWithTime(sandbox, runCmd.command, classicStdin(tc, problem), caseLimitMs, caseLimits, runCmd.args);
+        const statusCode = checkClassicOutput(tc, execRes, problem);
+        const timeMs = execRes.execTimeMs;
+        const { status, reason } = caseVerdict(statusCode, execRes, { timeMs, limitMs: caseLimitMs });
+
+        if (timeMs != null) maxCaseTimeMs = Math.max(maxCaseTimeMs || 0, timeMs);
+        if (execRes.memoryKb != null) maxMemKb = Math.max(maxMemKb || 0, execRes.memoryKb);
+        if (status === 'AC' && timeMs != null && timeMs > 0) totalExecTimeMs += timeMs;
+
+        lastStderr = clip(stderrWithNote(execRes, reason), 20000);
+        insertValues.push([submissionId, tc.id, status, reason, timeMs, caseLimitMs, execRes.memoryKb, clip(execRes.stdout, 20000), lastStderr]);
+        processedCases += 1;
+
+        if (status !== 'AC') {
+          overall = status;
+          break;
+        }
+      }
+
+      await insertCaseResults(insertValues);
+      totalElapsedMs = Date.now() - startedAt;
+
+      // 최대 메모리(RSS) 기준 메모리 초과 체크 (실행 중에는 RLIMIT_AS 로 강제)
+      if (overall === 'AC' && maxMemKb != null && maxMemKb > limits.memoryKb) {
+        overall = 'MLE';
+        lastStderr = `memory limit exceeded (${maxMemKb} KB > ${limits.memoryKb} KB)`;
+      }
     } else {
-      // 한 번 실행하여 모든 케이스를 처리 (타임아웃은 실행 시간 기준)
+      // 한 번 실행하여 모든 케이스를 처리 (전체 제한 + 케이스별 제한, 넘긴 케이스만 TLE)
       const execStartedAt = Date.now();
-      execRes = await runWithTime(binaryPath, workDir, '', totalLimitMs);
+      let parsed;
+      ({ execRes, parsed } = await runHarness(sandbox, lang, cases, limits, {
+        totalLimitMs,
+        caseLimitMs,
+        size: gridSizeOf(problem),
+        variant: variantOf(problem)
+      }));
       const execElapsedMs = execRes.execTimeMs != null ? execRes.execTimeMs : (Date.now() - execStartedAt);
-      const parsed = parseBatchResult(execRes.stdout, cases.length);
 
       // 파싱된 시간 값들 확인
       const validTimes = parsed.times.filter(v => v != null && v > 0);
@@ -198,7 +1389,7 @@ app.post('/submit', async (req, res) => {
         maxMemKb = execRes.memoryKb;
       }
       
-      debugLog(`[Submit] Parsed results: times=${JSON.stringify(parsed.times)}, statuses=${JSON.stringify(parsed.statuses)}, execRes.execTimeMs=${execRes.execTimeMs}, execRes.memoryKb=${execRes.memoryKb}`);
+      debugLog(`[Submit] Parsed results: times=${JSON.stringify(parsed.times)}, statuses=${JSON.stringify(parsed.statuses)}, execRes.execTimeMs=${execRes.execTimeMs}, execRes.memoryKb=${execRes.memoryKb}, violation=${JSON.stringify(execRes.violation)}`);
 
       // 모든 케이스 결과를 수집한 후 배치 INSERT (성능 최적화)
       const insertValues = [];
@@ -206,17 +1397,14 @@ app.post('/submit', async (req, res) => {
       
       for (let i = 0; i < cases.length; i++) {
         const tc = cases[i];
-        const statusCode = parsed.statuses[i];
-        let status = 'AC';
-        if (execRes.timeout) status = 'TLE';
-        else if (statusCode === 0) status = 'AC';
-        else status = 'WA';
+        const statusCode = parsed.statuses[i] == null ? null : checkCaseOutput(tc, parsed.statuses[i], parsed.grids[i], problem);
+        const { status, reason } = caseVerdict(statusCode, execRes, { timeMs: parsed.times[i], limitMs: parsed.limitsMs[i] });
 
         if (overall === 'AC' && status !== 'AC') {
           overall = status;
           if (firstFailureIdx === -1) firstFailureIdx = i;
         }
-        lastStderr = clip(execRes.stderr, 20000);
+        lastStderr = clip(stderrWithNote(execRes, reason), 20000);
 
         // 실행 시간 합계 계산 (AC인 경우만, null이 아니고 0보다 큰 경우만)
         if (status === 'AC' && parsed.times[i] != null && parsed.times[i] > 0) {
@@ -227,43 +1415,34 @@ app.post('/submit', async (req, res) => {
           submissionId,
           tc.id,
           status,
+          reason,
           parsed.times[i],
+          caseLimitMs,
           null,
-          '',
+          parsed.grids[i] ? formatGrid(parsed.grids[i]) : '',
           lastStderr
         ]);
 
-        caseResults.push({
-          testCaseId: tc.id,
-          status,
-          execTimeMs: parsed.times[i],
-          memoryKb: null
-        });
-
         processedCases += 1;
 
-        // 실패(AC 아님) 발견 시 이후 케이스는 저장하지 않음 (이미 C++에서 중단됨)
+        // 실패(AC 아님) 발견 시 이후 케이스는 저장하지 않음
         if (status !== 'AC') {
           break;
         }
       }
 
-      // 배치 INSERT로 한 번에 저장 (개별 INSERT 대비 10-100배 빠름)
-      if (insertValues.length > 0) {
-        const placeholders = insertValues.map(() => '(?,?,?,?,?,?,?)').join(',');
-        const flatValues = insertValues.flat();
-        await db.query(
-          `INSERT INTO submission_results
-           (submission_id, test_case_id, status, exec_time_ms, memory_kb, stdout, stderr)
-           VALUES ${placeholders}`,
-          flatValues
-        );
-      }
+      await insertCaseResults(insertValues);
 
       // 전체 처리 시간 (로깅용)
       totalElapsedMs = Date.now() - startedAt;
       // 실제 실행 시간은 totalExecTimeMs 사용
 
+      // 최대 메모리(RSS) 기준 메모리 초과 체크 (실행 중에는 RLIMIT_AS 로 강제)
+      if (overall === 'AC' && maxMemKb != null && maxMemKb > limits.memoryKb) {
+        overall = 'MLE';
+        lastStderr = `memory limit exceeded (${maxMemKb} KB > ${limits.memoryKb} KB)`;
+      }
+
       // 실행 시간 기준 시간 초과 체크 (DB insert 등은 포함하지 않음)
       if (overall === 'AC' && (execRes.timeout || execElapsedMs > totalLimitMs)) {
         overall = 'TLE';
@@ -274,12 +1453,12 @@ app.post('/submit', async (req, res) => {
     overall = 'RE';
     await db.query(
       `INSERT INTO submission_results
-       (submission_id, test_case_id, status, exec_time_ms, memory_kb, stdout, stderr)
-       VALUES (?,?,?,?,?,?,?)`,
-      [submissionId, cases[0]?.id || null, 'RE', null, null, '', clip(String(e), 20000)]
+       (submission_id, test_case_id, status, reason, exec_time_ms, memory_kb, stdout, stderr)
+       VALUES (?,?,?,?,?,?,?,?)`,
+      [submissionId, cases[0]?.id || null, 'RE', 'judge_error', null, null, '', clip(String(e), 20000)]
     );
   } finally {
-    cleanup(workDir);
+    sandbox.release();
   }
 
   // 실행 시간 결정 우선순위:
@@ -318,6 +1497,8 @@ app.post('/submit', async (req, res) => {
       debugLog(`[Submit] Calling updateRanking for user ${userId}, submission ${submissionId}`);
       await updateRanking(userId);
       debugLog(`[Submit] updateRanking completed for user ${userId}`);
+      scheduleLeaderboardPush(null);
+      if (submission.contest_id) scheduleLeaderboardPush(submission.contest_id);
     } catch (e) {
       console.error('Failed to update ranking after submission:', e);
       console.error('Error stack:', e.stack);
@@ -327,254 +1508,316 @@ app.post('/submit', async (req, res) => {
     debugLog(`[Submit] Skipping ranking update - status is ${overall}, not AC`);
   }
 
-  res.json({
-    submissionId,
-    status: overall,
-    execTimeMs: totalExecTimeMs > 0 ? totalExecTimeMs : totalElapsedMs, // 실제 실행 시간 우선, 없으면 전체 경과 시간
-    totalExecTimeMs, // 테스트 케이스 실행 시간 합계
-    maxCaseTimeMs,
-    memoryKb: maxMemKb,
-    totalElapsedMs, // 전체 경과 시간 (디버깅용)
-    processedCases,
-    totalCases: cases.length,
-    // 디버깅 편의를 위해 마지막 stderr와 케이스별 상태를 임시로 노출
-    lastStderr,
-    caseResults
-  });
-});
-
-// ---------- helpers ----------
+  debugLog(`[Judge] Submission ${submissionId} finished: status=${overall}, processedCases=${processedCases}/${cases.length}`);
+}
 
 /**
- * 문제별 최고 성능 제출의 시간과 메모리를 계산
+ * 직접 입력한 테스트 실행용 케이스 (test_cases 행과 같은 모양, id 는 null)
+ * killer / jigsaw 문제는 variantData(케이지 / 영역)도 함께 받아야 함
+ * 반환: { tc } 또는 { error }
  */
-async function calculateProblemStats(userId, problemId) {
+function customRunCase(input, problem, variantData = null) {
+  if (Buffer.byteLength(input) > MAX_TEXT_BYTES) return { error: `input must be at most ${MAX_TEXT_BYTES} bytes` };
+  if (!usesSudokuGrid(problem)) {
+    return { tc: { id: null, is_sample: 0, input_text: input, expected_output: null, checker_mode: null, variant_data: null } };
+  }
+  let grid;
+  let data;
   try {
-    // 가장 빠른 제출 찾기
-    const [submissionRows] = await db.query(
-      `SELECT s.id
-       FROM submissions s
-       WHERE s.user_id=? AND s.problem_id=? AND s.status='AC' 
-       ORDER BY s.id ASC
-       LIMIT 1`,
-      [userId, problemId]
-    );
-    
-    if (submissionRows.length === 0) {
-      return { time: 0, memory: 0 };
-    }
-    
-    const submissionId = submissionRows[0].id;
-    
-    // submission_results에서 실행 시간 합산
-    const [timeRows] = await db.query(
-      `SELECT SUM(sr.exec_time_ms) as total_time
-       FROM submission_results sr
-       WHERE sr.submission_id = ? AND sr.status = 'AC' AND sr.exec_time_ms IS NOT NULL AND sr.exec_time_ms > 0`,
-      [submissionId]
-    );
-    
-    let problemTime = 0;
-    if (timeRows[0] && timeRows[0].total_time != null) {
-      problemTime = Number(timeRows[0].total_time);
-    }
-    
-    // submissions 테이블에서 메모리 가져오기
-    const [submissionData] = await db.query(
-      `SELECT memory_kb FROM submissions WHERE id = ?`,
-      [submissionId]
-    );
-    
-    let problemMemory = 0;
-    if (submissionData[0] && submissionData[0].memory_kb != null && submissionData[0].memory_kb > 0) {
-      problemMemory = submissionData[0].memory_kb;
-    }
-    
-    return { time: problemTime, memory: problemMemory };
+    grid = parseGridText(input, gridSizeOf(problem));
+  } catch (e) {
+    return { error: `input: ${e.message}` };
+  }
+  try {
+    data = normalizeVariantData(variantOf(problem), variantData, gridSizeOf(problem));
   } catch (e) {
-    console.error(`[Ranking] Error calculating stats for user ${userId}, problem ${problemId}:`, e);
-    return { time: 0, memory: 0 };
+    return { error: `variantData: ${e.message}` };
   }
+  return {
+    tc: { id: null, is_sample: 0, input_text: formatGrid(grid), expected_output: null, checker_mode: 'valid', variant_data: data }
+  };
+}
+
+// 정답이 없는 classic 직접 입력: 정상 종료하면 통과, 아니면 null (caseVerdict 에서 원인 판단)
+function customExitStatus(execRes) {
+  if (execRes.timeout || execRes.violation || execRes.signal != null || execRes.exitCode !== 0) return null;
+  return 0;
 }
 
 /**
- * 랭킹 업데이트: 최소 1개 문제라도 AC로 통과한 유저들의 랭킹 계산
- * 랭킹 기준: 1) 해결한 문제 수 (많을수록 좋음), 2) 총 실행시간 합계 (적을수록 좋음), 3) 메모리 사용량 합계 (적을수록 좋음)
+ * 테스트 실행: 제출과 같은 방식으로 컴파일/실행하지만 DB 에는 아무것도 쓰지 않음
+ * 반환: { status, compileOutput?, execTimeMs, memoryKb, stderr, cases: [...] }
+ *   cases[].status 는 채점과 같은 판정 (직접 입력: valid 모드 / classic 은 정상 종료 여부)
  */
-async function updateRanking(userId) {
+async function runCustom({ problem, lang, code, cases }) {
+  const perCaseLimitMs = Math.round(Number(problem.time_limit_ms || 5000) * lang.timeMultiplier);
+  const totalLimitMs = Math.min(
+    perCaseLimitMs * cases.length,
+    Math.round(Number(process.env.TOTAL_TIME_LIMIT_MS || 90000) * lang.timeMultiplier)
+  );
+  const isClassic = problem.judge_type === 'classic';
+
+  const sandbox = createSandbox(`run-${lang.id}-`);
+  const limits = {
+    ...runLimits({ timeLimitMs: totalLimitMs, memoryLimitKb: Number(problem.memory_limit_kb) || null }),
+    ...lang.runLimits
+  };
+
   try {
-    debugLog(`[Ranking] updateRanking called for user ${userId}`);
-    
-    // AC로 통과한 문제가 없으면 랭킹에서 제외
-    const [acProblems] = await db.query(
-      `SELECT DISTINCT problem_id 
-       FROM submissions 
-       WHERE user_id=? AND status='AC'`,
-      [userId]
-    );
+    const source = isClassic ? code : buildWrappedCode(code, lang.id, gridSizeOf(problem), variantOf(problem));
+    fs.writeFileSync(path.join(sandbox.dir, lang.sourceFile), source, 'utf8');
 
-    if (acProblems.length === 0) {
-      await db.query(
-        'UPDATE users SET total_time_ms=NULL, total_memory_kb=NULL, `rank`=NULL WHERE id=?',
-        [userId]
-      );
-      debugLog(`[Ranking] User ${userId} has no AC problems, clearing ranking`);
-      await recalculateAllRankings();
-      return;
+    const compileRes = await compileSource(sandbox, lang, source);
+    if (!compileRes.ok) {
+      return { status: 'CE', compileOutput: clip(compileRes.stderr, 4000), cases: [] };
     }
 
-    // AC로 통과한 문제들에 대해서만 최고 성능 제출 찾기
-    let totalTimeMs = 0;
-    let totalMemoryKb = 0;
+    const results = [];
+    const caseResult = (tc, statusCode, execRes, timeMs, output, limitMs = perCaseLimitMs) => {
+      const { status, reason } = caseVerdict(statusCode, execRes, { timeMs, limitMs });
+      const row = {
+        source: tc.id == null ? 'custom' : 'sample',
+        testCaseId: tc.id,
+        status,
+        reason,
+        execTimeMs: timeMs,
+        timeLimitMs: perCaseLimitMs,
+        input: displayCaseInput(tc, problem),
+        output
+      };
+      if (tc.expected_output != null) row.expectedOutput = displayCaseText(tc.expected_output, problem);
+      return row;
+    };
 
-    for (const acProblem of acProblems) {
-      const stats = await calculateProblemStats(userId, acProblem.problem_id);
-      totalTimeMs += stats.time;
-      totalMemoryKb += stats.memory;
-    }
-    
-    // 최소값 보장 (0이면 랭킹에 포함되지 않을 수 있음)
-    if (totalTimeMs === 0) {
-      totalTimeMs = 1; // 최소 1ms로 설정하여 랭킹에 포함되도록
+    let execRes;
+    if (isClassic) {
+      const caseLimits = { ...limits, cpuSec: Math.ceil(perCaseLimitMs / 1000) + 1 };
+      const runCmd = lang.run(sandbox.dir, caseLimits);
+      let maxMemKb = null;
+      let totalTimeMs = 0;
+      for (const tc of cases) {
+        execRes = await runWithTime(sandbox, runCmd.command, classicStdin(tc, problem), perCaseLimitMs, caseLimits, runCmd.args);
+        const statusCode = tc.checker_mode == null && tc.expected_output == null
+          ? customExitStatus(execRes)
+          : checkClassicOutput(tc, execRes, problem);
+        results.push(caseResult(tc, statusCode, execRes, execRes.execTimeMs, clip(execRes.stdout, 20000)));
+        if (execRes.memoryKb != null) maxMemKb = Math.max(maxMemKb || 0, execRes.memoryKb);
+        totalTimeMs += execRes.execTimeMs || 0;
+      }
+      return { status: 'OK', execTimeMs: totalTimeMs, memoryKb: maxMemKb, stderr: clip(execRes.stderr, 4000), cases: results };
     }
 
-    // 유저의 총 시간/메모리 업데이트
-    
-    debugLog(`[Ranking] Updating user ${userId}: totalTimeMs=${totalTimeMs}, totalMemoryKb=${totalMemoryKb}`);
-    await db.query(
-      'UPDATE users SET total_time_ms=?, total_memory_kb=? WHERE id=?',
-      [totalTimeMs, totalMemoryKb, userId]
-    );
-
-    // 모든 유저들의 랭킹 재계산
-    await recalculateAllRankings();
-    debugLog(`[Ranking] updateRanking completed successfully for user ${userId}`);
-  } catch (e) {
-    console.error('Failed to update ranking:', e);
-    console.error('Error stack:', e.stack);
-    throw e; // 에러를 다시 throw하여 상위에서 처리할 수 있도록
+    let parsed;
+    ({ execRes, parsed } = await runHarness(sandbox, lang, cases, limits, {
+      totalLimitMs,
+      caseLimitMs: perCaseLimitMs,
+      size: gridSizeOf(problem),
+      variant: variantOf(problem)
+    }));
+    cases.forEach((tc, i) => {
+      const statusCode = parsed.statuses[i] == null ? null : checkCaseOutput(tc, parsed.statuses[i], parsed.grids[i], problem);
+      const output = parsed.grids[i] ? formatGrid(parsed.grids[i]) : '';
+      results.push(caseResult(tc, statusCode, execRes, parsed.times[i], output, parsed.limitsMs[i]));
+    });
+    return {
+      status: 'OK',
+      execTimeMs: execRes.execTimeMs,
+      memoryKb: execRes.memoryKb,
+      stderr: clip(stderrWithNote(execRes, results.find(r => r.status !== 'AC')?.reason), 4000),
+      cases: results
+    };
+  } finally {
+    sandbox.release();
   }
 }
 
+// ---------- helpers ----------
+
 /**
- * 최소 1개 문제라도 AC로 통과한 유저들의 랭킹 재계산
- * 랭킹 기준: 1) 해결한 문제 수 (많을수록 좋음), 2) 총 실행시간 합계 (적을수록 좋음), 3) 메모리 사용량 합계 (적을수록 좋음)
+ * submission_results 배치 INSERT (개별 INSERT 대비 10-100배 빠름)
+ * rows: [submission_id, test_case_id, status, reason, exec_time_ms, time_limit_ms, memory_kb, stdout, stderr][]
  */
-async function recalculateAllRankings() {
-  try {
-    debugLog('[Ranking] Starting recalculation...');
-    
-    // 먼저 모든 유저의 랭킹을 초기화 (중복 방지)
-    await db.query('UPDATE users SET `rank`=NULL');
-
-    // 최소 1개 문제라도 AC로 통과한 유저들 찾기
-    const [qualifiedUsers] = await db.query(
-      `SELECT u.id
-       FROM users u
-       WHERE (
-         SELECT COUNT(DISTINCT s.problem_id)
-         FROM submissions s
-         WHERE s.user_id = u.id AND s.status = 'AC'
-       ) > 0`
-    );
-    debugLog(`[Ranking] Found ${qualifiedUsers.length} qualified users with AC submissions`);
+async function insertCaseResults(rows) {
+  if (rows.length === 0) return;
+  const placeholders = rows.map(() => '(?,?,?,?,?,?,?,?,?)').join(',');
+  await db.query(
+    `INSERT INTO submission_results
+     (submission_id, test_case_id, status, reason, exec_time_ms, time_limit_ms, memory_kb, stdout, stderr)
+     VALUES ${placeholders}`,
+    rows.flat()
+  );
+}
 
-    // 각 유저의 총 시간/메모리 재계산
-    for (let userIdx = 0; userIdx < qualifiedUsers.length; userIdx++) {
-      const user = qualifiedUsers[userIdx];
-      try {
-        debugLog(`[Ranking] Processing user ${user.id} (${userIdx + 1}/${qualifiedUsers.length})`);
-        let totalTimeMs = 0;
-        let totalMemoryKb = 0;
-
-        // AC로 통과한 문제들만 계산
-        const [acProblems] = await db.query(
-          `SELECT DISTINCT problem_id 
-           FROM submissions 
-           WHERE user_id=? AND status='AC'`,
-          [user.id]
-        );
-
-        for (const acProblem of acProblems) {
-          const stats = await calculateProblemStats(user.id, acProblem.problem_id);
-          totalTimeMs += stats.time;
-          totalMemoryKb += stats.memory;
-        }
-        
-        // totalTimeMs가 0이면 랭킹에서 제외
-        if (totalTimeMs === 0) {
-          debugLog(`[Ranking] User ${user.id} has totalTimeMs=0, skipping update`);
-          continue;
-        }
+/**
+ * 제출 상태 + 케이스별 결과 (GET /submissions/:id 와 SSE 스트림에서 공통 사용)
+ * viewer: req.user (없으면 비로그인), 볼 수 없는 제출이면 null
+ */
+async function loadSubmissionView(submissionId, viewer) {
+  const [[sub]] = await db.query(
+    `SELECT s.id, s.user_id, s.problem_id, s.contest_id, s.language, s.status, s.exec_time_ms, s.memory_kb, s.created_at,
+            s.code, u.username, p.memory_limit_kb, p.judge_type, p.comparator, p.grid_size, p.variant,
+            c.end_at AS contest_end_at
+     FROM submissions s
+     JOIN problems p ON p.id = s.problem_id
+     JOIN users u ON u.id = s.user_id
+     LEFT JOIN contests c ON c.id = s.contest_id
+     WHERE s.id=?`,
+    [submissionId]
+  );
+  if (!sub) return null;
 
-        await db.query(
-          'UPDATE users SET total_time_ms=?, total_memory_kb=? WHERE id=?',
-          [totalTimeMs, totalMemoryKb, user.id]
-        );
-        debugLog(`[Ranking] Updated user ${user.id}: time=${totalTimeMs}ms, memory=${totalMemoryKb}KB`);
-      } catch (e) {
-        console.error(`[Ranking] Error processing user ${user.id}:`, e);
-        console.error('Error stack:', e.stack);
-      }
-    }
+  const isOwner = !!viewer && viewer.id === sub.user_id;
+  const isAdmin = !!viewer && !!viewer.is_admin;
+  // 대회가 끝나기 전에는 다른 참가자의 제출을 숨김
+  if (!isOwner && !isAdmin && sub.contest_end_at && new Date() < sub.contest_end_at) return null;
 
-    // 랭킹 계산: 
-    // 1순위: 해결한 문제 수 (많을수록 좋음)
-    // 2순위: 총 실행시간 (적을수록 좋음)
-    // 3순위: 메모리 사용량 (적을수록 좋음)
-    // total_time_ms가 NULL이 아닌 경우만 포함 (0도 포함)
-    const [rankedUsers] = await db.query(
-      `SELECT u.id,
-              (SELECT COUNT(DISTINCT s.problem_id) FROM submissions s WHERE s.user_id = u.id AND s.status = 'AC') as solved_count
-       FROM users u
-       WHERE u.total_time_ms IS NOT NULL
-       ORDER BY solved_count DESC, u.total_time_ms ASC, u.total_memory_kb ASC`
-    );
-    // 랭킹 업데이트 (배치 업데이트로 최적화)
-    if (rankedUsers.length > 0) {
-      const updatePromises = rankedUsers.map((user, i) =>
-        db.query('UPDATE users SET `rank`=? WHERE id=?', [i + 1, user.id])
-      );
-      await Promise.all(updatePromises);
-    }
-    debugLog(`[Ranking] Assigned ranks to ${rankedUsers.length} users`);
+  const [[{ totalCases }]] = await db.query(
+    'SELECT COUNT(*) AS totalCases FROM test_cases WHERE problem_id=?',
+    [sub.problem_id]
+  );
 
-    // 랭킹에서 제외된 유저들 (AC로 통과한 문제가 없는 경우)
-    await db.query(
-      `UPDATE users 
-       SET \`rank\`=NULL, total_time_ms=NULL, total_memory_kb=NULL
-       WHERE (
-         SELECT COUNT(DISTINCT s.problem_id)
-         FROM submissions s
-         WHERE s.user_id = users.id AND s.status = 'AC'
-       ) = 0`
-    );
-    debugLog('[Ranking] Recalculation completed successfully');
-  } catch (e) {
-    console.error('Failed to recalculate rankings:', e);
-    console.error('Error message:', e.message);
-    console.error('Error stack:', e.stack);
-    if (e.sql) {
-      console.error('SQL query:', e.sql);
+  const [rows] = await db.query(
+    `SELECT sr.test_case_id, sr.status, sr.reason, sr.exec_time_ms, sr.time_limit_ms, sr.memory_kb, sr.stdout, sr.stderr,
+            tc.is_sample, tc.input_text, tc.expected_output, tc.variant_data
+     FROM submission_results sr
+     JOIN test_cases tc ON tc.id = sr.test_case_id
+     WHERE sr.submission_id=?
+     ORDER BY sr.id`,
+    [submissionId]
+  );
+
+  const caseResults = rows.map(r => {
+    const row = {
+      testCaseId: r.test_case_id,
+      isSample: !!r.is_sample,
+      status: r.status,
+      reason: r.reason,
+      execTimeMs: r.exec_time_ms,
+      timeLimitMs: r.time_limit_ms,
+      memoryKb: r.memory_kb
+    };
+    // 예제 케이스만 입력/정답/실제 출력 공개 (CE 는 실행 결과가 없음)
+    if (r.is_sample && r.status !== 'CE') {
+      row.input = displayCaseInput(r, sub);
+      row.expectedOutput = displayCaseText(r.expected_output, sub);
+      row.actualOutput = displayCaseText(r.stdout, sub);
     }
-    throw e; // 에러를 다시 throw하여 상위에서 처리할 수 있도록
+    return row;
+  });
+  const lastStderr = rows.length > 0 ? (rows[rows.length - 1].stderr || '') : '';
+  const done = !isPendingStatus(sub.status);
+
+  return {
+    submissionId: sub.id,
+    userName: sub.username,
+    isOwner,
+    problemId: sub.problem_id,
+    contestId: sub.contest_id,
+    language: sub.language,
+    status: sub.status,
+    done,
+    queuePosition: done ? null : judgeQueue.position(sub.id),
+    execTimeMs: sub.exec_time_ms,
+    memoryKb: sub.memory_kb,
+    memoryLimitKb: sub.memory_limit_kb,
+    processedCases: caseResults.filter(r => r.status !== 'CE').length,
+    totalCases,
+    createdAt: sub.created_at,
+    lastStderr: isOwner ? lastStderr : undefined,
+    code: isOwner ? sub.code : undefined,
+    caseResults
+  };
+}
+
+// 스도쿠 문제의 입력/정답/출력은 한 변 크기만큼의 줄로, 그 외(classic)는 그대로
+function displayCaseText(text, problem) {
+  if (!text || !usesSudokuGrid(problem)) return text || '';
+  try {
+    return formatGrid(parseGridText(text, gridSizeOf(problem)));
+  } catch {
+    return text;
   }
 }
 
-async function getOrCreateUser(username, phone) {
-  // (username, phone) UNIQUE 전제
-  const [[u]] = await db.query('SELECT id FROM users WHERE username=? AND phone=?', [username, phone]);
-  if (u) return u.id;
+// 케이스 입력 표시: 그리드 + 변형 데이터 (classic 문제의 stdin 과 같은 형식)
+function displayCaseInput(tc, problem) {
+  const text = displayCaseText(tc.input_text, problem);
+  const data = variantDataOf(tc);
+  if (!data || !usesSudokuGrid(problem)) return text;
+  return `${text}\n\n${formatVariantData(variantOf(problem), data)}`;
+}
+
+function submissionTopic(submissionId) {
+  return `submission:${submissionId}`;
+}
+
+function leaderboardTopic(contestId) {
+  return contestId ? `contest:${contestId}` : 'leaderboard';
+}
+
+/**
+ * 대회 랭킹 응답 (프리즈 중이면 프리즈 시작 전 제출만, unfrozen 이면 전체)
+ */
+async function contestLeaderboardView(contest, { limit, unfrozen = false }) {
+  const frozen = isFrozen(contest) && !unfrozen;
+  const users = await getContestLeaderboard(contest.id, { before: frozen ? freezeAt(contest) : null, limit });
+  return { contest: publicContest(contest), policy: RANKING_POLICY, frozen, users };
+}
+
+// GET /leaderboard, GET /contests/:id/leaderboard 와 같은 형식 (대회가 없으면 null)
+async function leaderboardSnapshot(contestId, limit) {
+  if (!contestId) return { policy: RANKING_POLICY, users: await getLeaderboard(limit) };
+  const contest = await getContest(contestId);
+  return contest ? contestLeaderboardView(contest, { limit }) : null;
+}
+
+// 랭킹 변경 알림: 연속된 AC 는 LEADERBOARD_PUSH_DELAY_MS 동안 모아서 한 번만 조회/전송
+const LEADERBOARD_PUSH_DELAY_MS = 1000;
+const LEADERBOARD_PUSH_LIMIT = 1000;
+const pendingLeaderboardPushes = new Map();
+
+function scheduleLeaderboardPush(contestId) {
+  const topic = leaderboardTopic(contestId);
+  if (!hasSubscribers(topic) || pendingLeaderboardPushes.has(topic)) return;
+
+  pendingLeaderboardPushes.set(topic, setTimeout(async () => {
+    pendingLeaderboardPushes.delete(topic);
+    try {
+      const snapshot = await leaderboardSnapshot(contestId, LEADERBOARD_PUSH_LIMIT);
+      if (snapshot) publish(topic, snapshot);
+    } catch (e) {
+      console.error(`[Events] Failed to push ${topic}:`, e);
+    }
+  }, LEADERBOARD_PUSH_DELAY_MS));
+}
+
+// API 응답용 유저 정보 (비밀번호 해시/토큰 버전 제외)
+function publicUser(user) {
+  return { id: user.id, userName: user.username, loginName: user.login_name, isAdmin: !!user.is_admin };
+}
 
-  const [ins] = await db.query('INSERT INTO users(username, phone) VALUES (?, ?)', [username, phone]);
-  return ins.insertId;
+/**
+ * 작업 디렉터리의 소스를 컴파일 (같은 소스는 compilecache.js 의 이전 산출물 재사용)
+ * 반환: { ok, cached } 또는 { ok: false, stderr, cached }
+ */
+async function compileSource(sandbox, lang, source) {
+  if (!lang.compile) return { ok: true, cached: false };
+  const res = await compileWithCache(lang, source, sandbox, ({ pch }) => {
+    const cmd = lang.compile(sandbox.dir, { pch });
+    return runCompile(sandbox, cmd.command, cmd.args, { ...COMPILE_LIMITS, ...lang.compileLimits });
+  });
+  debugLog(`[Compile] ${lang.id} ${res.ok ? 'ok' : 'failed'}${res.cached ? ' (cache hit)' : ''}`);
+  return res;
 }
 
-function runCompile(sourcePath, binaryPath, cwd) {
+/**
+ * 컴파일 (명령은 languages.js 의 compile 정의)
+ * 컴파일러도 샌드박스 안에서 실행 (#include "/proc/..." 등으로 인한 노출/폭주 방지)
+ */
+function runCompile(sandbox, command, args, limits = COMPILE_LIMITS) {
   return new Promise((resolve) => {
-    const compileTimeoutMs = Number(process.env.COMPILE_TIMEOUT_MS || 20000); // g++ 최대 대기
-    // 컴파일 최적화: -O2 (안정성과 성능 균형), -march=native (CPU 최적화), -pipe (메모리 사용)
-    const p = spawn('g++', ['-std=c++17', '-O2', '-march=native', '-pipe', sourcePath, '-o', binaryPath], { cwd });
+    const compileTimeoutMs = Number(process.env.COMPILE_TIMEOUT_MS || 20000); // 컴파일러 최대 대기
+    const p = spawnSandboxed(sandbox, command, args, limits);
     let stderr = '';
     let killed = false;
 
@@ -603,23 +1846,33 @@ function runCompile(sourcePath, binaryPath, cwd) {
 }
 
 /**
- * Run with:
- *   /usr/bin/time -v ./main
+ * Run with (sandbox.js 격리 계층 안에서):
+ *   /usr/bin/time -v <command> [...extraArgs]
  *
  * - 출력 1MB 이상이면 강제 종료 (기존 exec maxBuffer 무시 문제 보완)
  * - 타임아웃 시 프로세스 종료
+ * - limits: CPU/메모리/프로세스/파일 크기 제한, 위반 시 결과의 violation 에 기록
+ * - onResultLine(line): 결과 채널(fd 3)을 열고, 줄이 완성될 때마다 호출
+ *   받아들인 줄이면 true, 아니면 (위조) 더 볼 것이 없으므로 바로 종료
+ *   (개행으로 끝나지 않은 마지막 조각은 쓰는 도중 종료된 것으로 보고 버림)
+ * - caseTimeLimitMs (onResultLine 전용): 받아들인 결과 줄이 올 때마다 다시 재는 케이스별 제한
+ *   (아무 줄이나 써서 타이머를 늘리지 못하도록 형식/순서가 맞는 줄만 케이스 완료로 봄)
+ *   첫 케이스는 프로세스 시작 시간으로 startupGraceMs 를 더 줌, 넘기면 종료하고 caseTimeout 에 기록
  */
-function runWithTime(binaryPath, cwd, inputText, timeLimitMs, extraArgs = []) {
+function runWithTime(
+  sandbox, command, inputText, timeLimitMs, limits, extraArgs = [],
+  { onResultLine = null, caseTimeLimitMs = null, startupGraceMs = 0 } = {}
+) {
   return new Promise((resolve) => {
     const maxOutputBytes = 1024 * 1024; // 1MB
-    const child = spawn('/usr/bin/time', ['-v', binaryPath, ...extraArgs], {
-      cwd,
-      shell: false,
-      detached: false
+    const child = spawnSandboxed(sandbox, '/usr/bin/time', ['-v', command, ...extraArgs], limits, {
+      extraPipes: onResultLine ? 1 : 0
     });
 
     let stdout = '';
     let stderr = '';
+    let channel = ''; // 아직 개행이 오지 않은 결과 채널 조각
+    let channelBytes = 0;
     let killed = false;
     let timeout = false;
     let outputOverflow = false;
@@ -639,20 +1892,50 @@ function runWithTime(binaryPath, cwd, inputText, timeLimitMs, extraArgs = []) {
       killChild();
     }, timeLimitMs + 200);
 
-    const handleChunk = (chunk, isStdout) => {
+    // 케이스별 제한: 케이스 idx 의 결과 줄이 제한 안에 오지 않으면 그 케이스에서 종료
+    let caseTimer = null;
+    let caseIndex = 0;
+    let caseTimeout = null;
+    const armCaseTimer = (ms) => {
+      clearTimeout(caseTimer);
+      caseTimer = setTimeout(() => {
+        timeout = true;
+        caseTimeout = { index: caseIndex, limitMs: caseTimeLimitMs };
+        killChild();
+      }, ms + 200);
+    };
+    if (onResultLine && caseTimeLimitMs) armCaseTimer(caseTimeLimitMs + startupGraceMs);
+
+    const handleChunk = (chunk, stream) => {
       const str = chunk.toString();
-      if (isStdout) stdout += str;
-      else stderr += str;
+      if (stream === 'stdout') stdout += str;
+      else if (stream === 'channel') {
+        channelBytes += str.length;
+        const lines = (channel + str).split('\n');
+        channel = lines.pop();
+        for (const line of lines) {
+          if (killed) break;
+          if (!onResultLine(line)) {
+            killChild();
+            break;
+          }
+          if (caseTimer) {
+            caseIndex += 1;
+            armCaseTimer(caseTimeLimitMs);
+          }
+        }
+      } else stderr += str;
 
-      if (stdout.length + stderr.length > maxOutputBytes) {
+      if (stdout.length + stderr.length + channelBytes > maxOutputBytes) {
         outputOverflow = true;
         stderr += '\n[truncated: output exceeded 1MB]\n';
         killChild();
       }
     };
 
-    child.stdout.on('data', (d) => handleChunk(d, true));
-    child.stderr.on('data', (d) => handleChunk(d, false));
+    child.stdout.on('data', (d) => handleChunk(d, 'stdout'));
+    child.stderr.on('data', (d) => handleChunk(d, 'stderr'));
+    if (onResultLine) child.stdio[3].on('data', (d) => handleChunk(d, 'channel'));
 
     child.on('error', (err) => {
       stderr += `\n[spawn error] ${String(err)}\n`;
@@ -661,23 +1944,31 @@ function runWithTime(binaryPath, cwd, inputText, timeLimitMs, extraArgs = []) {
 
     child.on('close', (code, signal) => {
       clearTimeout(timer);
+      clearTimeout(caseTimer);
       const exitCode = outputOverflow
         ? 137 // treat as failure
         : (typeof code === 'number' ? code : (signal ? 128 : 0));
 
-      const execTimeSec = parseUserTime(stderr);
-      const memoryKb = parseMaxRss(stderr);
-      
-      // time 명령어의 출력을 제거하고 실제 프로그램의 stderr만 반환
-      const filteredStderr = filterTimeOutput(stderr);
+      // 호스트가 죽였으면 time 도 함께 죽어서 보고서가 없음 (끝에 보고서처럼 보이는 글은 프로그램이 쓴 것)
+      const report = killed
+        ? { stderr, userTimeSec: null, systemTimeSec: null, maxRssKb: null, signal: null }
+        : splitTimeReport(stderr);
+      const violation = detectViolation({ signal: report.signal, memoryKb: report.maxRssKb, outputOverflow }, limits);
 
       resolve({
         timeout,
+        caseTimeout,
         exitCode,
         stdout,
-        stderr: filteredStderr,
-        execTimeMs: execTimeSec != null ? Math.round(execTimeSec * 1000) : null,
-        memoryKb: memoryKb != null ? memoryKb : null
+        stderr: report.stderr,
+        execTimeMs: report.userTimeSec != null ? Math.round(report.userTimeSec * 1000) : null,
+        // 커널이 잰 user + system CPU 시간 (function 하네스가 보고한 케이스 시간과 맞춰 봄)
+        cpuTimeMs: report.userTimeSec != null && report.systemTimeSec != null
+          ? Math.round((report.userTimeSec + report.systemTimeSec) * 1000)
+          : null,
+        memoryKb: report.maxRssKb,
+        signal: report.signal,
+        violation
       });
     });
 
@@ -690,70 +1981,44 @@ function runWithTime(binaryPath, cwd, inputText, timeLimitMs, extraArgs = []) {
   });
 }
 
-function parseUserTime(stderr) {
-  const m = (stderr || '').match(/User time \(seconds\):\s+([0-9.]+)/);
-  return m ? Number(m[1]) : null;
-}
-
-function parseMaxRss(stderr) {
-  const m = (stderr || '').match(/Maximum resident set size \(kbytes\):\s+(\d+)/);
-  return m ? parseInt(m[1], 10) : null;
-}
+// 첫 케이스의 실행 타이머에만 더 주는 프로세스 시작 시간 (언어 배수 적용 전)
+// 보고된 케이스 CPU 시간 합과 커널이 잰 CPU 시간의 차이도 이만큼까지는 시작 시간으로 보고 넘어감
+const CASE_STARTUP_GRACE_MS = Number(process.env.CASE_STARTUP_GRACE_MS || 1000);
 
 /**
- * stderr에서 /usr/bin/time -v의 출력을 제거하고 실제 프로그램의 stderr만 반환
+ * function 하네스로 모든 케이스를 한 번에 실행 (judgeSubmission / runCustom 공용)
+ * 결과는 fd 3 의 줄만 보고, 줄마다 이번 실행의 nonce 가 있어야 함 (results.js)
+ * 케이스 시간은 하네스가 잰 solveSudoku 의 CPU 시간을 커널이 잰 전체 CPU 시간과 맞춰서 사용
+ * nonce 가 틀리거나 중복/순서가 어긋난 결과 줄이 있으면 모든 케이스 결과를 버리고 execRes.violation 에 기록
+ * totalLimitMs: 전체 실행 제한, caseLimitMs: 케이스별 제한 (넘긴 케이스에서 종료 → 그 케이스만 TLE, 앞 케이스 결과는 유지)
+ * 반환 parsed.limitsMs: 케이스별 판정에 쓸 제한 (케이스 시간에 프로세스 시작이 들어가지 않으므로 모든 케이스가 같음)
  */
-function filterTimeOutput(stderr) {
-  if (!stderr) return '';
-  
-  const lines = stderr.split('\n');
-  const filtered = [];
-  let inTimeOutput = false;
-  
-  for (const line of lines) {
-    // time 명령어 출력 시작 패턴
-    if (line.includes('Command being timed:')) {
-      inTimeOutput = true;
-      continue;
-    }
-    
-    // time 명령어 출력 종료 패턴 (Exit status 이후)
-    if (inTimeOutput && (line.includes('Exit status:') || line.trim() === '')) {
-      inTimeOutput = false;
-      continue;
-    }
-    
-    // time 명령어 출력 중이 아니면 유지
-    if (!inTimeOutput) {
-      filtered.push(line);
-    }
-  }
-  
-  return filtered.join('\n').trim();
-}
-
-// CASE <idx> STATUS <status> TIME_MS <elapsed>
-function parseBatchResult(stdout, caseCount) {
-  const statuses = Array(caseCount).fill(null);
-  const times = Array(caseCount).fill(null);
-  const re = /CASE\s+(\d+)\s+STATUS\s+(-?\d+)\s+TIME_MS\s+(-?\d+)/g;
-  let m;
-  while ((m = re.exec(stdout || '')) !== null) {
-    const idx = Number(m[1]);
-    const st = Number(m[2]);
-    const t = Number(m[3]);
-    if (!Number.isNaN(idx) && idx >= 0 && idx < caseCount) {
-      statuses[idx] = st;
-      times[idx] = Number.isNaN(t) ? null : t;
-    }
+async function runHarness(sandbox, lang, cases, limits, { totalLimitMs, caseLimitMs = null, size = 9, variant = 'classic' }) {
+  const runCmd = lang.run(sandbox.dir, limits);
+  const startupGraceMs = Math.round(CASE_STARTUP_GRACE_MS * lang.timeMultiplier);
+  const nonce = createNonce();
+  const parser = createBatchParser(cases.length, size, nonce);
+  const execRes = await runWithTime(
+    sandbox, runCmd.command, buildHarnessInput(cases, size, variant, nonce), totalLimitMs, limits, runCmd.args,
+    { onResultLine: parser.push, caseTimeLimitMs: caseLimitMs, startupGraceMs }
+  );
+  const parsed = parser.result({ cpuMs: execRes.cpuTimeMs, graceMs: startupGraceMs });
+  if (parsed.forged) {
+    execRes.violation = { type: 'result', message: `security violation: ${parsed.forged}` };
   }
-  return { statuses, times };
+  parsed.limitsMs = cases.map(() => caseLimitMs);
+  return { execRes, parsed };
 }
 
-function cleanup(dir) {
-  try {
-    fs.rmSync(dir, { recursive: true, force: true });
-  } catch {}
+// 실패 원인(샌드박스 위반/시그널)을 stderr 앞에 붙여서 저장
+function stderrWithNote(execRes, reason) {
+  if (execRes.violation) return `[sandbox] ${execRes.violation.message}\n${execRes.stderr}`;
+  if (reason === 'time_limit' && execRes.caseTimeout) {
+    const { index, limitMs } = execRes.caseTimeout;
+    return `[judge] case ${index + 1} exceeded the per-case time limit (${limitMs} ms)\n${execRes.stderr}`;
+  }
+  if (reason === 'signal') return `[judge] terminated by signal ${execRes.signal}\n${execRes.stderr}`;
+  return execRes.stderr;
 }
 
 function clip(s, maxLen) {
@@ -762,162 +2027,354 @@ function clip(s, maxLen) {
   return s.slice(0, maxLen) + '\n...[clipped]';
 }
 
-// ---------- wrapper builders (FIXED) ----------
+// ---------- admin helpers ----------
+
+const ADMIN_MAX_TEST_CASES = 500;
+const MAX_TEXT_BYTES = 65535; // test_cases.input_text / expected_output (TEXT)
+
+const PROBLEM_DEFAULTS = {
+  title: null,
+  description: null,
+  time_limit_ms: 2000,
+  memory_limit_kb: 262144,
+  checker_mode: 'exact',
+  judge_type: 'function',
+  comparator: 'whitespace',
+  grid_size: 9,
+  variant: 'classic'
+};
 
-// ✅ 안전 파서: 9줄×9자리 우선, 아니면 숫자 81개 fallback
-function parseSudoku9x9(text) {
-  const lines = String(text || '')
-    .split(/\r?\n/)
-    .map(s => s.replace(/[^0-9]/g, ''))
-    .filter(s => s.length > 0);
-
-  // 9줄이 있고 각 줄이 9개 이상이면, 앞 9줄/9자리만 사용
-  if (lines.length >= 9 && lines.slice(0, 9).every(s => s.length >= 9)) {
-    const grid = [];
-    for (let r = 0; r < 9; r++) {
-      const row = lines[r].slice(0, 9).split('').map(ch => Number(ch));
-      grid.push(row);
-    }
-    return grid;
-  }
+const PROBLEM_ENUMS = {
+  checker_mode: ['exact', 'valid'],
+  judge_type: ['function', 'classic'],
+  comparator: ['exact', 'whitespace', 'float', 'sudoku'],
+  variant: VARIANTS
+};
 
-  // fallback: 숫자만 81개
-  const d = String(text || '').replace(/[^0-9]/g, '');
-  if (d.length < 81) throw new Error('expected at least 81 digits for sudoku');
-  const grid = [];
-  for (let r = 0; r < 9; r++) {
-    const row = [];
-    for (let c = 0; c < 9; c++) row.push(Number(d[r * 9 + c]));
-    grid.push(row);
+/**
+ * 문제 생성/수정 body 검증: base(기본값 또는 기존 행) 위에 보낸 필드만 덮어씀
+ * 반환: { fields } 또는 { error }
+ */
+function problemFields(body, base) {
+  const pick = (key, column) => (body[key] !== undefined ? body[key] : base[column]);
+
+  const fields = {
+    title: String(pick('title', 'title') || '').trim(),
+    description: pick('description', 'description'),
+    time_limit_ms: Number(pick('timeLimitMs', 'time_limit_ms')),
+    memory_limit_kb: Number(pick('memoryLimitKb', 'memory_limit_kb')),
+    checker_mode: pick('checkerMode', 'checker_mode'),
+    judge_type: pick('judgeType', 'judge_type'),
+    comparator: pick('comparator', 'comparator'),
+    grid_size: Number(pick('gridSize', 'grid_size')),
+    variant: pick('variant', 'variant')
+  };
+  fields.description = fields.description == null ? null : String(fields.description);
+
+  if (!fields.title || fields.title.length > 100) return { error: 'title required (max 100 chars)' };
+  if (!Number.isInteger(fields.time_limit_ms) || fields.time_limit_ms < 100 || fields.time_limit_ms > 60000) {
+    return { error: 'timeLimitMs must be an integer between 100 and 60000' };
   }
-  return grid;
+  if (!Number.isInteger(fields.memory_limit_kb) || fields.memory_limit_kb < 16384 || fields.memory_limit_kb > 2097152) {
+    return { error: 'memoryLimitKb must be an integer between 16384 and 2097152' };
+  }
+  for (const [column, allowed] of Object.entries(PROBLEM_ENUMS)) {
+    if (!allowed.includes(fields[column])) return { error: `${column} must be one of ${allowed.join(', ')}` };
+  }
+  if (!GRID_SIZES.includes(fields.grid_size)) return { error: `gridSize must be one of ${GRID_SIZES.join(', ')}` };
+  if (fields.variant !== 'classic' && !usesSudokuGrid(fields)) {
+    return { error: 'variant requires judgeType function or comparator sudoku' };
+  }
+  return { fields };
 }
 
-// ✅ 항상 9줄짜리 C++ 초기화 리스트 생성: "{1,2,...,9}" 형태 9개
-function gridToCppArray(text) {
-  const g = parseSudoku9x9(text); // [[...9], ...9]
-  return g.map(row => `  {${row.join(',')}}`).join(',\n');
+// 입력/정답이 스도쿠 그리드여야 하는 문제인지 (function 하네스 또는 classic + sudoku 비교기)
+function usesSudokuGrid(problem) {
+  return problem.judge_type !== 'classic' || problem.comparator === 'sudoku';
 }
 
-function buildWrappedCode(userCode, cases) {
-  const caseBlocks = cases.map((tc, idx) => {
-    const inputArr = gridToCppArray(tc.input_text).split('\n').map(line => `      ${line}`).join('\n');
-    const expectedArr = gridToCppArray(tc.expected_output).split('\n').map(line => `      ${line}`).join('\n');
-    return `  { // case ${idx}
-    { // input
-      {
-${inputArr}
-      }
-    },
-    { // expected
-      {
-${expectedArr}
-      }
-    }
-  }`;
-  }).join(',\n');
+// 스도쿠 그리드 한 변 (problems.grid_size, 컬럼이 없는 조회 결과는 9)
+function gridSizeOf(problem) {
+  return Number(problem && problem.grid_size) || 9;
+}
+
+// 스도쿠 변형 규칙 (problems.variant, 컬럼이 없는 조회 결과는 classic)
+function variantOf(problem) {
+  return (problem && problem.variant) || 'classic';
+}
 
-  return `
-#include <bits/stdc++.h>
-using namespace std;
+// test_cases.variant_data (JSON 컬럼, 드라이버 설정에 따라 문자열로 올 수 있음)
+function variantDataOf(tc) {
+  const data = tc && tc.variant_data;
+  if (data == null) return null;
+  return typeof data === 'string' ? JSON.parse(data) : data;
+}
 
-using Grid = array<array<int,9>,9>;
+/**
+ * 테스트케이스 1개 검증 + 저장 형식으로 변환
+ * 스도쿠 문제는 문제의 grid_size 로 읽어서 정규화하고 (9x9 이하: 숫자 한 줄, 그보다 크면 공백 구분 size 줄),
+ * 변형 데이터(variantData: killer 케이지 / jigsaw 영역)를 검증한 뒤
+ * 정답이 입력의 힌트와 변형 규칙을 지킨 올바른 완성본인지 확인한다.
+ * 반환: { row } 또는 { error }
+ */
+function testCaseFields(tc, problem) {
+  if (!tc || typeof tc !== 'object') return { error: 'test case must be an object' };
 
-// ===== User Code =====
-${userCode}
-// =====================
+  const checker = tc.checkerMode == null || tc.checkerMode === '' ? null : tc.checkerMode;
+  if (checker !== null && !PROBLEM_ENUMS.checker_mode.includes(checker)) {
+    return { error: 'checkerMode must be exact, valid or null' };
+  }
 
-struct CaseIO { Grid in; Grid exp; };
-struct CaseResult { int status; long long time_ms; };
+  let input = String(tc.input == null ? '' : tc.input);
+  let expected = String(tc.expectedOutput == null ? '' : tc.expectedOutput);
+  let variantData = null;
 
-static const CaseIO CASES[] = {
-${caseBlocks}
-};
-static const int CASE_COUNT = sizeof(CASES)/sizeof(CASES[0]);
+  if (usesSudokuGrid(problem)) {
+    const size = gridSizeOf(problem);
+    const variant = variantOf(problem);
+    let inGrid;
+    let expGrid;
+    try {
+      variantData = normalizeVariantData(variant, tc.variantData, size);
+    } catch (e) {
+      return { error: `variantData: ${e.message}` };
+    }
+    try {
+      inGrid = parseGridText(input, size);
+    } catch (e) {
+      return { error: `input: ${e.message}` };
+    }
+    try {
+      expGrid = parseGridText(expected, size);
+    } catch (e) {
+      return { error: `expectedOutput: ${e.message}` };
+    }
+    if (inGrid.some(row => row.some(v => v < 0 || v > size))) {
+      return { error: `input: values must be between 0 and ${size}` };
+    }
+    const cmp = compareSudokuOutput(expGrid, null, inGrid, { mode: 'valid', size, variant, variantData });
+    if (!cmp.ok) return { error: `expectedOutput is not a valid completion of input (${cmp.reason})` };
 
-static bool validRange(const Grid& g) {
-  for (int r=0;r<9;r++) for (int c=0;c<9;c++) {
-    if (g[r][c] < 1 || g[r][c] > 9) return false;
+    input = formatSudokuGrid(inGrid, { compact: true });
+    expected = formatSudokuGrid(expGrid, { compact: true });
+  } else if (!expected.trim()) {
+    return { error: 'expectedOutput required' };
   }
-  return true;
-}
 
-static bool respectClues(const Grid& in, const Grid& out) {
-  for (int r=0;r<9;r++) for (int c=0;c<9;c++) {
-    if (in[r][c] != 0 && out[r][c] != in[r][c]) return false;
+  if (Buffer.byteLength(input) > MAX_TEXT_BYTES || Buffer.byteLength(expected) > MAX_TEXT_BYTES) {
+    return { error: `input/expectedOutput must be at most ${MAX_TEXT_BYTES} bytes` };
   }
-  return true;
-}
 
-static bool validSudoku(const Grid& g) {
-  for (int i=0;i<9;i++) {
-    bool row[10]={0}, col[10]={0};
-    for (int j=0;j<9;j++) {
-      int a=g[i][j], b=g[j][i];
-      if (a < 1 || a > 9 || b < 1 || b > 9) return false;
-      if (row[a] || col[b]) return false;
-      row[a]=true; col[b]=true;
+  return {
+    row: {
+      input_text: input,
+      expected_output: expected,
+      is_sample: tc.isSample ? 1 : 0,
+      checker_mode: checker,
+      variant_data: variantData ? JSON.stringify(variantData) : null
     }
+  };
+}
+
+const CONTEST_DEFAULTS = {
+  title: null,
+  description: null,
+  start_at: null,
+  end_at: null,
+  freeze_minutes: 0
+};
+
+/**
+ * 대회 생성/수정 body 검증 (startAt/endAt 은 ISO 8601 문자열)
+ * 반환: { fields } 또는 { error }
+ */
+function contestFields(body, base) {
+  const pick = (key, column) => (body[key] !== undefined ? body[key] : base[column]);
+  const toDate = (v) => (v == null || v === '' ? null : new Date(v));
+
+  const fields = {
+    title: String(pick('title', 'title') || '').trim(),
+    description: pick('description', 'description'),
+    start_at: toDate(pick('startAt', 'start_at')),
+    end_at: toDate(pick('endAt', 'end_at')),
+    freeze_minutes: Number(pick('freezeMinutes', 'freeze_minutes'))
+  };
+  fields.description = fields.description == null ? null : String(fields.description);
+
+  if (!fields.title || fields.title.length > 100) return { error: 'title required (max 100 chars)' };
+  if (!fields.start_at || isNaN(fields.start_at) || !fields.end_at || isNaN(fields.end_at)) {
+    return { error: 'startAt and endAt must be valid dates' };
   }
-  for (int br=0;br<9;br+=3) for (int bc=0;bc<9;bc+=3) {
-    bool seen[10]={0};
-    for (int r=0;r<3;r++) for (int c=0;c<3;c++) {
-      int v=g[br+r][bc+c];
-      if (v < 1 || v > 9) return false;
-      if (seen[v]) return false;
-      seen[v]=true;
-    }
+  if (fields.end_at <= fields.start_at) return { error: 'endAt must be after startAt' };
+  const durationMin = (fields.end_at - fields.start_at) / 60000;
+  if (!Number.isInteger(fields.freeze_minutes) || fields.freeze_minutes < 0 || fields.freeze_minutes > durationMin) {
+    return { error: 'freezeMinutes must be an integer between 0 and the contest duration' };
   }
-  return true;
+  return { fields };
 }
 
-static bool equalsExpected(const Grid& g, const Grid& exp) {
-  for (int r=0;r<9;r++) for (int c=0;c<9;c++) {
-    if (g[r][c] != exp[r][c]) return false;
+// [{ problemId, label? }] 또는 [problemId] → [{ problemId, label }] (label 기본값 A, B, ...)
+function contestProblemList(problems) {
+  if (!Array.isArray(problems)) return { error: 'problems must be an array' };
+
+  const list = [];
+  for (const [i, p] of problems.entries()) {
+    const problemId = Number(typeof p === 'object' && p ? p.problemId : p);
+    if (!Number.isInteger(problemId) || problemId <= 0) return { error: `problems[${i}]: invalid problemId` };
+    const label = String((p && p.label) || String.fromCharCode(65 + (i % 26)) + (i >= 26 ? Math.floor(i / 26) : ''));
+    if (label.length > 10) return { error: `problems[${i}]: label max 10 chars` };
+    if (list.some(x => x.problemId === problemId)) return { error: `problems[${i}]: duplicate problemId` };
+    list.push({ problemId, label });
   }
-  return true;
+  return { list };
 }
 
-int main() {
-  vector<CaseResult> results;
-  results.reserve(CASE_COUNT);
+async function setContestProblems(conn, contestId, list) {
+  await conn.query('DELETE FROM contest_problems WHERE contest_id=?', [contestId]);
+  if (list.length === 0) return;
+  await conn.query(
+    'INSERT INTO contest_problems(contest_id, problem_id, label) VALUES ?',
+    [list.map(p => [contestId, p.problemId, p.label])]
+  );
+}
 
-  for (int idx = 0; idx < CASE_COUNT; ++idx) {
-    const Grid& INPUT = CASES[idx].in;
-    const Grid& EXPECTED = CASES[idx].exp;
+const REPORT_STATUSES = ['open', 'flagged', 'dismissed'];
+
+function adminSimilarityReport(row) {
+  return {
+    id: row.id,
+    problemId: row.problem_id,
+    similarity: Number(row.similarity),
+    status: row.status,
+    note: row.note,
+    reviewedBy: row.reviewed_by,
+    reviewedAt: row.reviewed_at,
+    updatedAt: row.updated_at,
+    a: { userId: row.user_a, userName: row.user_a_name, submissionId: row.submission_a, disqualified: !!row.user_a_disqualified },
+    b: { userId: row.user_b, userName: row.user_b_name, submissionId: row.submission_b, disqualified: !!row.user_b_disqualified }
+  };
+}
 
-    Grid out;
-    int status = 0;
-    auto t0 = chrono::steady_clock::now();
-    try {
-      out = solveSudoku(INPUT);
-    } catch (...) {
-      status = 5; // exception
-    }
-    auto t1 = chrono::steady_clock::now();
+function adminProblem(p) {
+  return {
+    id: p.id,
+    title: p.title,
+    description: p.description,
+    timeLimitMs: p.time_limit_ms,
+    memoryLimitKb: p.memory_limit_kb,
+    checkerMode: p.checker_mode,
+    judgeType: p.judge_type,
+    comparator: p.comparator,
+    gridSize: p.grid_size,
+    variant: p.variant,
+    caseCount: p.case_count,
+    sampleCount: p.sample_count,
+    createdAt: p.created_at
+  };
+}
 
-    if (status == 0) {
-      if (!validRange(out)) status = 1;
-      else if (!respectClues(INPUT, out)) status = 2;
-      else if (!validSudoku(out)) status = 3;
-      else if (!equalsExpected(out, EXPECTED)) status = 4;
-    }
+function adminTestCase(tc) {
+  return {
+    id: tc.id,
+    problemId: tc.problem_id,
+    input: tc.input_text,
+    expectedOutput: tc.expected_output,
+    isSample: !!tc.is_sample,
+    checkerMode: tc.checker_mode,
+    variantData: variantDataOf(tc)
+  };
+}
 
-    long long elapsed = chrono::duration_cast<chrono::milliseconds>(t1 - t0).count();
-    results.push_back({status, elapsed});
-  }
+// ---------- wrapper builders (FIXED) ----------
 
-  // 출력: CASE <idx> STATUS <status> TIME_MS <elapsed>
-  for (int i = 0; i < (int)results.size(); ++i) {
-    cout << "CASE " << i << " STATUS " << results[i].status << " TIME_MS " << results[i].time_ms << "\\n";
-        if (results[i].status != 0) {
-          // 첫 실패에서 즉시 종료
-          return 1;
-        }
-  }
-  return 0;
+// 스도쿠 그리드 텍스트 → size x size 숫자 배열 (형식은 sudoku.js 의 parseSudokuGrid, 맞지 않으면 예외)
+function parseGridText(text, size = 9) {
+  const grid = parseSudokuGrid(text, size);
+  if (!grid) throw new Error(`expected a ${size}x${size} sudoku grid (${size * size} cells)`);
+  return grid;
+}
+
+// 숫자 그리드 -> 한 변 크기만큼의 줄 텍스트 (submission_results.stdout 저장/표시용)
+function formatGrid(grid) {
+  return formatSudokuGrid(grid);
+}
+
+/**
+ * 하네스 stdin: 첫 줄에 결과 채널 nonce, 다음 줄에 케이스 수, 이후 케이스마다
+ * size줄×size개 숫자 (입력 그리드만, 정답은 넘기지 않음) + size줄×size개 영역 번호 + 케이지 수 K, K줄 "sum n r1 c1 ..."
+ */
+function buildHarnessInput(cases, size = 9, variant = 'classic', nonce = '') {
+  const blocks = cases.map(tc => {
+    const data = variantDataOf(tc);
+    const cages = variant === 'killer' && data ? data.cages : [];
+    return [
+      ...parseGridText(tc.input_text, size).map(row => row.join(' ')),
+      ...variantRegions(variant, data, size).map(row => row.join(' ')),
+      cages.length,
+      ...cages.map(cage => [cage.sum, cage.cells.length, ...cage.cells.flat()].join(' '))
+    ].join('\n');
+  });
+  return `${nonce}\n${cases.length}\n${blocks.join('\n')}\n`;
+}
+
+// classic 문제의 stdin: input_text, 변형 데이터가 있는 케이스는 그 뒤에 formatVariantData 형식으로 이어서
+function classicStdin(tc, problem) {
+  const data = variantDataOf(tc);
+  if (!data || !usesSudokuGrid(problem)) return tc.input_text;
+  return `${String(tc.input_text).replace(/\n*$/, '')}\n${formatVariantData(variantOf(problem), data)}\n`;
+}
+
+// compareSudokuOutput 실패 사유 -> 하네스 상태 코드
+const CHECK_STATUS_CODES = {
+  invalid_format: 7,
+  out_of_range: 1,
+  clue_overwritten: 2,
+  invalid_sudoku: 3,
+  mismatch: 4,
+  variant_violation: 8
+};
+
+/**
+ * 하네스가 돌려준 그리드를 호스트에서 채점 (정답 데이터는 사용자 프로그램에 전달되지 않음)
+ * 반환: 0 = 통과, 그 외 = CHECK_STATUS_CODES / 5 (예외) / 6 (메모리)
+ */
+function checkCaseOutput(tc, harnessStatus, grid, problem) {
+  if (harnessStatus !== 0) return harnessStatus;
+  if (!grid) return CHECK_STATUS_CODES.invalid_format;
+  const cmp = compareSudokuOutput(grid, tc.expected_output, tc.input_text, {
+    mode: checkerMode(tc, problem),
+    size: gridSizeOf(problem),
+    variant: variantOf(problem),
+    variantData: variantDataOf(tc)
+  });
+  return cmp.ok ? 0 : CHECK_STATUS_CODES[cmp.reason];
+}
+
+/**
+ * classic 문제: 프로그램이 정상 종료했을 때만 stdout 을 비교
+ * 반환: 0 = 통과, CHECK_STATUS_CODES 값 = 오답, null = 비정상 종료 (caseVerdict 에서 원인 판단)
+ */
+function checkClassicOutput(tc, execRes, problem) {
+  if (execRes.timeout || execRes.violation || execRes.signal != null || execRes.exitCode !== 0) return null;
+  const cmp = compareOutput(problem.comparator || 'whitespace', execRes.stdout, tc.expected_output, {
+    input: tc.input_text,
+    mode: checkerMode(tc, problem),
+    size: gridSizeOf(problem),
+    variant: variantOf(problem),
+    variantData: variantDataOf(tc)
+  });
+  return cmp.ok ? 0 : CHECK_STATUS_CODES[cmp.reason];
+}
+
+// 테스트 케이스별 checker_mode 가 있으면 우선, 없으면 문제 설정 ('exact' | 'valid')
+function checkerMode(tc, problem) {
+  return tc.checker_mode || (problem && problem.checker_mode) || 'exact';
 }
-`;
+
+// 사용자 코드 + 언어별 하네스 (languages.js): stdin 으로 입력 그리드를 받아 solveSudoku 결과를 출력
+// gridSize 는 하네스에 GRID_SIZE 상수로, variant 는 VARIANT 상수로 들어감 (케이스별 데이터는 stdin 으로)
+function buildWrappedCode(userCode, language = DEFAULT_LANGUAGE, gridSize = 9, variant = 'classic') {
+  return getLanguage(language).buildHarness(userCode, { gridSize, variant });
 }
 
 const PORT = Number(process.env.PORT || 3000);
@@ -929,6 +2386,17 @@ async function startServer() {
     console.log('Testing DB connection...');
     await db.query('SELECT 1');
     console.log('DB connection OK');
+
+    // 컴파일 캐시 준비, PCH 는 백그라운드에서 생성 (준비 전 제출은 PCH 없이 컴파일)
+    initCompileCache();
+    preparePrecompiledHeaders(allLanguages()).catch((e) => {
+      console.error('[CompileCache] Failed to prepare precompiled headers:', e);
+    });
+
+    // 이전 프로세스에서 끝나지 못한 채점 재개
+    await requeuePendingSubmissions();
+    console.log(`Judge queue ready (concurrency=${JUDGE_CONCURRENCY}, queueLimit=${JUDGE_QUEUE_LIMIT})`);
+    if (!SANDBOX_ENABLED) console.warn('WARNING: SANDBOX_ENABLED=0, submissions run without isolation');
     
     // 서버 시작
     app.listen(PORT, () => {
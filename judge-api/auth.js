@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+
+const db = require('./db');
+
+/**
+ * 계정 인증
+ *
+ * - 비밀번호: scrypt + 유저별 salt, "scrypt$N$r$p$salt$hash" (base64) 형태로 저장
+ * - 토큰: base64url(payload).base64url(HMAC-SHA256) 형태의 서명 토큰 (Authorization: Bearer <token>)
+ *   payload = { uid, ver, exp } / ver 는 users.token_version (로그아웃 시 증가 → 기존 토큰 무효화)
+ * - AUTH_SECRET 이 없으면 프로세스마다 임의 키를 만들어서 재시작하면 모든 토큰이 무효가 됨
+ */
+
+const TOKEN_TTL_SEC = Number(process.env.AUTH_TOKEN_TTL_SEC || 7 * 24 * 3600);
+const MIN_PASSWORD_LENGTH = 8;
+
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const SCRYPT_KEYLEN = 64;
+
+let secret = process.env.AUTH_SECRET;
+if (!secret) {
+  console.warn('WARNING: AUTH_SECRET is not set, using a random secret (tokens are invalidated on restart)');
+  secret = crypto.randomBytes(32).toString('hex');
+}
+
+function scrypt(password, salt, N, r, p, keylen) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keylen, { N, r, p, maxmem: 64 * 1024 * 1024 }, (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
+    });
+  });
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, SCRYPT_N, SCRYPT_R, SCRYPT_P, SCRYPT_KEYLEN);
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+
+  const [, N, r, p, saltB64, hashB64] = parts;
+  const expected = Buffer.from(hashB64, 'base64');
+  const key = await scrypt(password, Buffer.from(saltB64, 'base64'), Number(N), Number(r), Number(p), expected.length);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function issueToken(user) {
+  const payload = {
+    uid: user.id,
+    ver: user.token_version || 0,
+    exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_SEC
+  };
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${sign(body)}`;
+}
+
+// 서명/만료만 확인 (token_version 은 requireAuth 에서 DB 와 비교)
+function verifyToken(token) {
+  const [body, sig] = String(token || '').split('.');
+  if (!body || !sig) return null;
+
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+function bearerToken(req) {
+  const header = String(req.headers.authorization || '');
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : null;
+}
+
+async function loadUserFromRequest(req) {
+  const payload = verifyToken(bearerToken(req));
+  if (!payload) return null;
+
+  const [[user]] = await db.query(
+    'SELECT id, username, login_name, token_version, is_admin FROM users WHERE id=? AND password_hash IS NOT NULL',
+    [payload.uid]
+  );
+  if (!user || user.token_version !== payload.ver) return null;
+  return user;
+}
+
+/**
+ * 인증 필수 미들웨어: 성공 시 req.user = { id, username, login_name, token_version, is_admin }
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const user = await loadUserFromRequest(req);
+    if (!user) return res.status(401).json({ error: 'authentication required' });
+    req.user = user;
+    next();
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+}
+
+/**
+ * 관리자 전용 미들웨어 (users.is_admin = 1), 로그인하지 않았으면 401 / 관리자가 아니면 403
+ */
+async function requireAdmin(req, res, next) {
+  try {
+    const user = await loadUserFromRequest(req);
+    if (!user) return res.status(401).json({ error: 'authentication required' });
+    if (!user.is_admin) return res.status(403).json({ error: 'admin only' });
+    req.user = user;
+    next();
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+}
+
+/**
+ * 인증 선택 미들웨어: 토큰이 유효하면 req.user 설정, 아니면 그대로 진행
+ */
+async function optionalAuth(req, res, next) {
+  try {
+    req.user = await loadUserFromRequest(req);
+    next();
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  issueToken,
+  verifyToken,
+  requireAuth,
+  requireAdmin,
+  optionalAuth
+};
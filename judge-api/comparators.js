@@ -0,0 +1,78 @@
+const { compareSudokuOutput } = require('./sudoku');
+
+/**
+ * classic(stdin/stdout) 문제용 출력 비교기
+ * 반환 형식은 compareSudokuOutput 과 같음: { ok } 또는 { ok: false, reason, ... }
+ */
+
+function normalizeNewlines(text) {
+  return String(text || '').replace(/\r\n?/g, '\n');
+}
+
+// exact: 줄바꿈 형식(CRLF)과 마지막 개행 유무만 무시하고 그대로 비교
+function compareExact(stdout, expected) {
+  const a = normalizeNewlines(stdout).replace(/\n+$/, '');
+  const b = normalizeNewlines(expected).replace(/\n+$/, '');
+  if (a === b) return { ok: true };
+
+  const aLines = a.split('\n');
+  const bLines = b.split('\n');
+  for (let i = 0; i < Math.max(aLines.length, bLines.length); i++) {
+    if (aLines[i] !== bLines[i]) {
+      return { ok: false, reason: 'mismatch', line: i + 1, got: aLines[i], expected: bLines[i] };
+    }
+  }
+  return { ok: false, reason: 'mismatch' };
+}
+
+// whitespace: 공백/개행 차이를 무시하고 토큰 단위로 비교
+function compareWhitespace(stdout, expected) {
+  const a = String(stdout || '').split(/\s+/).filter(Boolean);
+  const b = String(expected || '').split(/\s+/).filter(Boolean);
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] !== b[i]) {
+      return { ok: false, reason: 'mismatch', token: i + 1, got: a[i], expected: b[i] };
+    }
+  }
+  return { ok: true };
+}
+
+// float: whitespace 와 같이 토큰 단위로 비교하되, 양쪽 모두 숫자인 토큰은 오차 FLOAT_EPSILON 까지 허용
+// (절대 오차 또는 정답 기준 상대 오차, 둘 중 하나만 만족하면 통과)
+const FLOAT_EPSILON = 1e-6;
+const NUMBER_RE = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+
+function compareFloat(stdout, expected) {
+  const a = String(stdout || '').split(/\s+/).filter(Boolean);
+  const b = String(expected || '').split(/\s+/).filter(Boolean);
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === b[i]) continue;
+    if (a[i] !== undefined && b[i] !== undefined && NUMBER_RE.test(a[i]) && NUMBER_RE.test(b[i])) {
+      const got = Number(a[i]);
+      const want = Number(b[i]);
+      if (Math.abs(got - want) <= FLOAT_EPSILON * Math.max(1, Math.abs(want))) continue;
+    }
+    return { ok: false, reason: 'mismatch', token: i + 1, got: a[i], expected: b[i] };
+  }
+  return { ok: true };
+}
+
+// sudoku: sudoku.js 의 그리드 비교기 (checker_mode 'valid' 지원, size: 문제의 grid_size, variant: 변형 규칙)
+function compareSudoku(stdout, expected, { input, mode, size, variant, variantData } = {}) {
+  return compareSudokuOutput(stdout, expected, input, { mode, size, variant, variantData });
+}
+
+const COMPARATORS = {
+  exact: compareExact,
+  whitespace: compareWhitespace,
+  float: compareFloat,
+  sudoku: compareSudoku
+};
+
+function compareOutput(name, stdout, expected, options = {}) {
+  const fn = COMPARATORS[name];
+  if (!fn) throw new Error(`unknown comparator: ${name}`);
+  return fn(stdout, expected, options);
+}
+
+module.exports = { FLOAT_EPSILON, COMPARATORS, compareOutput };
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { exposeReadOnly } = require('./sandbox');
+
+/**
+ * 컴파일 결과 캐시 + 미리 컴파일한 헤더(PCH)
+ *
+ * - 캐시 키 = sha256(언어 + 컴파일 명령 + 하네스를 포함한 전체 소스)
+ *   같은 코드를 다시 제출하거나 재채점할 때 컴파일을 건너뛰고 이전 산출물(바이너리/.class)을 복사
+ * - 산출물 = 컴파일 후 작업 디렉터리에 생긴 파일 (소스 파일 제외, 하위 디렉터리 제외)
+ *   python3/javascript 처럼 문법 검사만 하는 언어는 산출물 없이 "컴파일 성공" 만 기록
+ * - 컴파일 실패(CE)는 캐시하지 않음
+ * - 항목 수가 COMPILE_CACHE_MAX_ENTRIES 를 넘으면 가장 오래 쓰지 않은 항목부터 삭제
+ * - 테스트 데이터는 하네스에 넣지 않고 실행 시 stdin 으로 전달하므로 문제/테스트 케이스를 바꿔도 캐시는 유효
+ *
+ * PCH: 언어에 precompiledHeader 가 있으면 시작 시 한 번 만들어 두고 compile(dir, { pch }) 에 경로를 넘김
+ *   (gcc 는 -include <header> 의 <header>.gch 를 컴파일 옵션이 같을 때만 사용하고, 아니면 원래 헤더를 읽음)
+ *
+ * 디렉터리 (COMPILE_CACHE_DIR, 기본값은 서버 데이터 디렉터리 /var/lib/judge-api/compile-cache)
+ *   bin/ : 캐시 항목 (0700, 채점 uid 는 접근 불가)
+ *   pch/ : 미리 컴파일한 헤더 (0755, 샌드박스 안에 읽기 전용으로 보임)
+ * 다른 uid 가 미리 만들어 둔 디렉터리에 캐시를 두면 바이너리를 바꿔치기할 수 있으므로
+ * 시작 시 세 디렉터리 모두 서버 uid 소유이고 그룹/기타 쓰기 권한이 없는지 확인 (아니면 캐시를 끔)
+ * 컴파일러 버전은 키에 넣지 않으므로 이미지를 바꿀 때는 캐시 디렉터리를 비워야 함 (기본값은 컨테이너 내부)
+ */
+
+const CACHE_DIR = process.env.COMPILE_CACHE_DIR || '/var/lib/judge-api/compile-cache';
+const MAX_ENTRIES = Math.max(1, Number(process.env.COMPILE_CACHE_MAX_ENTRIES || 500));
+const PCH_TIMEOUT_MS = 120000;
+
+const BIN_DIR = path.join(CACHE_DIR, 'bin');
+const PCH_DIR = path.join(CACHE_DIR, 'pch');
+
+// 설정값 + 디렉터리 확인 결과 (initCompileCache 에서 실패하면 false)
+let cacheEnabled = !['0', 'false'].includes(String(process.env.COMPILE_CACHE_ENABLED || 'true').toLowerCase());
+
+const pchPaths = new Map(); // 언어 id -> -include 에 넘길 헤더 경로 (PCH 가 준비된 경우만)
+const metrics = new Map(); // 언어 id -> { hits, misses, failures, compileMs, storeErrors }
+
+function langMetrics(langId) {
+  let m = metrics.get(langId);
+  if (!m) {
+    m = { hits: 0, misses: 0, failures: 0, compileMs: 0, storeErrors: 0 };
+    metrics.set(langId, m);
+  }
+  return m;
+}
+
+// 서버 uid 소유의 실제 디렉터리(심볼릭 링크 아님)이고 그룹/기타 쓰기 권한이 없어야 함
+function checkOwnership(dir) {
+  const st = fs.lstatSync(dir);
+  if (!st.isDirectory()) throw new Error(`${dir} is not a directory`);
+  if (st.uid !== process.getuid()) throw new Error(`${dir} is owned by uid ${st.uid}, not the server (uid ${process.getuid()})`);
+  if (st.mode & 0o022) throw new Error(`${dir} is writable by group/others (mode ${(st.mode & 0o777).toString(8)})`);
+}
+
+function ensureDirs() {
+  fs.mkdirSync(CACHE_DIR, { recursive: true, mode: 0o711 });
+  fs.mkdirSync(BIN_DIR, { recursive: true, mode: 0o700 });
+  fs.mkdirSync(PCH_DIR, { recursive: true, mode: 0o755 });
+  for (const dir of [CACHE_DIR, BIN_DIR, PCH_DIR]) checkOwnership(dir);
+}
+
+function cacheKey(lang, source) {
+  // 작업 디렉터리 경로는 제출마다 다르므로 자리표시자로 바꿔서 명령을 비교
+  const cmd = lang.compile('<dir>');
+  return crypto
+    .createHash('sha256')
+    .update(`${lang.id}\0${cmd.command}\0${JSON.stringify(cmd.args)}\0`)
+    .update(source)
+    .digest('hex');
+}
+
+// 작업 디렉터리의 산출물을 캐시에 저장 (임시 디렉터리에 복사 후 rename, 동시에 같은 키를 저장해도 안전)
+function store(key, lang, dir) {
+  const entryDir = path.join(BIN_DIR, key);
+  if (fs.existsSync(entryDir)) return;
+
+  const tmpDir = fs.mkdtempSync(path.join(BIN_DIR, '.tmp-'));
+  try {
+    for (const ent of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!ent.isFile() || ent.name === lang.sourceFile) continue;
+      fs.copyFileSync(path.join(dir, ent.name), path.join(tmpDir, ent.name));
+    }
+    fs.renameSync(tmpDir, entryDir);
+  } catch (e) {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    if (!fs.existsSync(entryDir)) throw e;
+    return;
+  }
+  evict();
+}
+
+// 캐시 항목을 작업 디렉터리로 복사 (샌드박스 uid 소유로 변경), 없으면 false
+function restore(key, sandbox) {
+  const entryDir = path.join(BIN_DIR, key);
+  let names;
+  try {
+    names = fs.readdirSync(entryDir);
+  } catch {
+    return false;
+  }
+
+  for (const name of names) {
+    const dest = path.join(sandbox.dir, name);
+    fs.copyFileSync(path.join(entryDir, name), dest);
+    fs.chmodSync(dest, fs.statSync(path.join(entryDir, name)).mode & 0o755);
+    if (sandbox.uid != null) fs.chownSync(dest, sandbox.uid, sandbox.uid);
+  }
+  // 마지막 사용 시각 (evict 기준)
+  const now = new Date();
+  fs.utimesSync(entryDir, now, now);
+  return true;
+}
+
+function evict() {
+  const entries = fs
+    .readdirSync(BIN_DIR)
+    .filter(name => !name.startsWith('.tmp-'))
+    .map(name => {
+      try {
+        return { name, mtimeMs: fs.statSync(path.join(BIN_DIR, name)).mtimeMs };
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+  if (entries.length <= MAX_ENTRIES) return;
+
+  entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+  for (const ent of entries.slice(0, entries.length - MAX_ENTRIES)) {
+    fs.rmSync(path.join(BIN_DIR, ent.name), { recursive: true, force: true });
+  }
+}
+
+/**
+ * 캐시를 거쳐 컴파일
+ * compile({ pch }): 실제 컴파일 함수 → { ok } 또는 { ok: false, stderr }
+ * 반환: compile 결과 + { cached }
+ */
+async function compileWithCache(lang, source, sandbox, compile) {
+  const m = langMetrics(lang.id);
+  const key = cacheEnabled ? cacheKey(lang, source) : null;
+
+  if (key) {
+    try {
+      if (restore(key, sandbox)) {
+        m.hits += 1;
+        return { ok: true, cached: true };
+      }
+    } catch (e) {
+      console.error(`[CompileCache] restore ${key} failed:`, e);
+    }
+  }
+
+  const startedAt = Date.now();
+  const res = await compile({ pch: pchPaths.get(lang.id) || null });
+  m.misses += 1;
+  m.compileMs += Date.now() - startedAt;
+  if (!res.ok) {
+    m.failures += 1;
+    return { ...res, cached: false };
+  }
+
+  if (key) {
+    try {
+      store(key, lang, sandbox.dir);
+    } catch (e) {
+      m.storeErrors += 1;
+      console.error(`[CompileCache] store ${key} failed:`, e);
+    }
+  }
+  return { ...res, cached: false };
+}
+
+function runTrusted(command, args) {
+  return new Promise((resolve) => {
+    const child = spawn(command, args, { shell: false });
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), PCH_TIMEOUT_MS);
+    child.stderr.on('data', d => (stderr += d.toString()));
+    child.on('error', e => {
+      clearTimeout(timer);
+      resolve({ ok: false, stderr: String(e) });
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      resolve({ ok: code === 0, stderr });
+    });
+  });
+}
+
+/**
+ * 언어별 PCH 준비 (서버 시작 시 1회, 실패해도 PCH 없이 컴파일)
+ * precompiledHeader: { file, source, command, args(headerPath, outPath) }
+ */
+async function preparePrecompiledHeaders(languages) {
+  if (!cacheEnabled) return;
+  exposeReadOnly(PCH_DIR);
+
+  for (const lang of languages) {
+    const spec = lang.precompiledHeader;
+    if (!spec) continue;
+
+    const langDir = path.join(PCH_DIR, lang.id);
+    fs.mkdirSync(langDir, { recursive: true, mode: 0o755 });
+    const headerPath = path.join(langDir, spec.file);
+    const outPath = `${headerPath}.gch`;
+
+    const startedAt = Date.now();
+    fs.writeFileSync(headerPath, spec.source, { mode: 0o644 });
+    const res = await runTrusted(spec.command, spec.args(headerPath, outPath));
+    if (!res.ok) {
+      console.error(`[CompileCache] ${lang.id} precompiled header failed (compiling without it):\n${res.stderr.slice(0, 2000)}`);
+      continue;
+    }
+    fs.chmodSync(outPath, 0o644);
+    pchPaths.set(lang.id, headerPath);
+    console.log(`[CompileCache] ${lang.id} precompiled header ready (${Date.now() - startedAt} ms)`);
+  }
+}
+
+function initCompileCache() {
+  if (!cacheEnabled) return;
+  try {
+    ensureDirs();
+  } catch (e) {
+    cacheEnabled = false;
+    console.error(`[CompileCache] disabled: ${e.message}`);
+    return;
+  }
+  // 이전 실행에서 남은 임시 디렉터리 정리
+  for (const name of fs.readdirSync(BIN_DIR)) {
+    if (name.startsWith('.tmp-')) fs.rmSync(path.join(BIN_DIR, name), { recursive: true, force: true });
+  }
+}
+
+// 관리자 통계: 언어별 적중/미스, 미스 1회 평균 컴파일 시간
+function compileCacheStats() {
+  let entries = 0;
+  try {
+    entries = fs.readdirSync(BIN_DIR).filter(name => !name.startsWith('.tmp-')).length;
+  } catch {}
+
+  const languages = {};
+  for (const [langId, m] of metrics) {
+    const total = m.hits + m.misses;
+    languages[langId] = {
+      ...m,
+      hitRate: total > 0 ? m.hits / total : null,
+      avgCompileMs: m.misses > 0 ? Math.round(m.compileMs / m.misses) : null,
+      precompiledHeader: pchPaths.has(langId)
+    };
+  }
+  return { enabled: cacheEnabled, dir: CACHE_DIR, entries, maxEntries: MAX_ENTRIES, languages };
+}
+
+module.exports = {
+  initCompileCache,
+  preparePrecompiledHeaders,
+  compileWithCache,
+  compileCacheStats
+};
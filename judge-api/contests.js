@@ -0,0 +1,122 @@
+const db = require('./db');
+
+/**
+ * 대회
+ *
+ * - contests: 시작/종료 시각, 마지막 freeze_minutes 분 동안 스코어보드 프리즈
+ * - contest_problems: 대회 문제 목록, contest_registrations: 참가 등록
+ * - 대회 제출은 submissions.contest_id 로 구분 (대회 랭킹은 ranking.js 의 getContestLeaderboard)
+ *
+ * 제출 제한 (checkSubmission)
+ *   - contestId 를 지정한 제출: 등록한 유저만, 진행 중(start_at <= now < end_at)일 때만, 대회 문제만
+ *   - contestId 가 없는 일반 제출: 아직 끝나지 않은 대회(예정/진행 중)에 포함된 문제는 거부
+ */
+
+function contestPhase(contest, now = new Date()) {
+  if (now < contest.start_at) return 'upcoming';
+  if (now < contest.end_at) return 'running';
+  return 'ended';
+}
+
+// 프리즈 시작 시각 (freeze_minutes 가 0 이면 null)
+function freezeAt(contest) {
+  if (!contest.freeze_minutes) return null;
+  return new Date(contest.end_at.getTime() - contest.freeze_minutes * 60 * 1000);
+}
+
+// 지금 스코어보드가 프리즈 상태인지 (프리즈 시작 ~ 종료 시각)
+function isFrozen(contest, now = new Date()) {
+  const at = freezeAt(contest);
+  return at != null && now >= at && now < contest.end_at;
+}
+
+async function getContest(contestId) {
+  const [[contest]] = await db.query('SELECT * FROM contests WHERE id=?', [contestId]);
+  return contest || null;
+}
+
+async function getContestProblems(contestId) {
+  const [rows] = await db.query(
+    `SELECT p.id, p.title, cp.label
+     FROM contest_problems cp
+     JOIN problems p ON p.id = cp.problem_id
+     WHERE cp.contest_id=?
+     ORDER BY cp.label, p.id`,
+    [contestId]
+  );
+  return rows;
+}
+
+async function isRegistered(contestId, userId) {
+  const [[row]] = await db.query(
+    'SELECT 1 AS ok FROM contest_registrations WHERE contest_id=? AND user_id=?',
+    [contestId, userId]
+  );
+  return !!row;
+}
+
+/**
+ * 제출 가능 여부 확인
+ * 반환: null (가능) 또는 { status, error }
+ */
+async function checkSubmission({ userId, problemId, contestId }, now = new Date()) {
+  if (contestId == null) {
+    const [[locked]] = await db.query(
+      `SELECT c.id
+       FROM contest_problems cp
+       JOIN contests c ON c.id = cp.contest_id
+       WHERE cp.problem_id=? AND c.end_at > ?
+       LIMIT 1`,
+      [problemId, now]
+    );
+    if (locked) {
+      return { status: 403, error: `problem is part of contest ${locked.id}, submit with contestId` };
+    }
+    return null;
+  }
+
+  const contest = await getContest(contestId);
+  if (!contest) return { status: 404, error: 'contest not found' };
+
+  const phase = contestPhase(contest, now);
+  if (phase === 'upcoming') return { status: 403, error: 'contest has not started yet' };
+  if (phase === 'ended') return { status: 403, error: 'contest has ended' };
+
+  const [[inContest]] = await db.query(
+    'SELECT 1 AS ok FROM contest_problems WHERE contest_id=? AND problem_id=?',
+    [contestId, problemId]
+  );
+  if (!inContest) return { status: 400, error: 'problem is not part of this contest' };
+
+  if (!(await isRegistered(contestId, userId))) {
+    return { status: 403, error: 'not registered for this contest' };
+  }
+  return null;
+}
+
+// API 응답용 대회 정보
+function publicContest(contest, now = new Date()) {
+  const at = freezeAt(contest);
+  return {
+    id: contest.id,
+    title: contest.title,
+    description: contest.description,
+    startAt: contest.start_at,
+    endAt: contest.end_at,
+    freezeMinutes: contest.freeze_minutes,
+    freezeAt: at,
+    phase: contestPhase(contest, now),
+    frozen: isFrozen(contest, now)
+  };
+}
+
+module.exports = {
+  contestPhase,
+  freezeAt,
+  isFrozen,
+  getContest,
+  getContestProblems,
+  isRegistered,
+  checkSubmission,
+  publicContest
+};
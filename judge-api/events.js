@@ -0,0 +1,74 @@
+const { EventEmitter } = require('events');
+
+/**
+ * 실시간 알림 (Server-Sent Events)
+ *
+ * - 프로세스 내부 이벤트 허브: publish(topic, data) → subscribe(topic, fn) 로 전달
+ *   topic 예: 'submission:<id>' (채점 상태 변경), 'queue' (대기열 순번 변경), 'leaderboard', 'contest:<id>'
+ * - openStream(req, res): text/event-stream 응답을 열고 send(event, data) 로 전송
+ *   프록시가 유휴 연결을 끊지 않도록 HEARTBEAT_MS 마다 주석 줄을 보냄
+ */
+
+const HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS || 20000);
+
+const hub = new EventEmitter();
+hub.setMaxListeners(0); // 구독자 수 제한 없음 (스트림마다 1개씩 등록)
+
+function publish(topic, data) {
+  hub.emit(topic, data);
+}
+
+// 구독 해제 함수를 반환
+function subscribe(topic, fn) {
+  hub.on(topic, fn);
+  return () => hub.off(topic, fn);
+}
+
+function hasSubscribers(topic) {
+  return hub.listenerCount(topic) > 0;
+}
+
+/**
+ * SSE 스트림 열기
+ * 반환: { send(event, data), close(), onClose(fn), closed }
+ */
+function openStream(req, res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // nginx 응답 버퍼링 끄기
+  });
+  res.flushHeaders();
+  res.write(`retry: 3000\n\n`);
+
+  const cleanups = [];
+  const stream = {
+    closed: false,
+    send(event, data) {
+      if (stream.closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    onClose(fn) {
+      cleanups.push(fn);
+    },
+    close() {
+      if (stream.closed) return;
+      stream.closed = true;
+      clearInterval(heartbeat);
+      for (const fn of cleanups) fn();
+      res.end();
+    }
+  };
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => stream.close());
+  return stream;
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  hasSubscribers,
+  openStream
+};
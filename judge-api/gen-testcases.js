@@ -0,0 +1,120 @@
+/**
+ * 스도쿠 테스트케이스 생성 (sudoku.js 의 generatePuzzle 사용, 모든 퍼즐은 해가 하나)
+ *
+ *   node gen-testcases.js --problem 1 --count 20 [--clues 28] [--difficulty hard] [--seed 42] [--sample] [--sql [--size 16]]
+ *
+ * - 기본: problem 의 test_cases 에 바로 INSERT (DB_* 환경변수, 컨테이너 안에서 실행)
+ * - --sql: DB 에 쓰지 않고 testcase.sql 과 같은 형식의 INSERT 문을 stdout 으로 출력
+ * - 그리드 크기는 문제의 grid_size 를 따름 (--sql 모드는 --size, 기본 9)
+ * - classic 규칙 퍼즐만 생성 (변형 문제는 거부)
+ * - --seed: 같은 seed 면 같은 퍼즐 (케이스마다 seed + 순번 사용)
+ * - 이미 같은 입력이 있는 퍼즐은 건너뜀 (--sql 모드는 이번에 만든 것끼리만 비교)
+ *
+ * 예: sudo docker exec -it judge-api node gen-testcases.js --problem 1 --count 10 --difficulty medium
+ */
+const { GRID_SIZES, DIFFICULTY_TIERS, generatePuzzle, formatSudokuGrid, parseSudokuGrid } = require('./sudoku');
+
+const USAGE = `usage: node gen-testcases.js --problem <id> [--count <n>] [--clues <n>]
+       [--difficulty ${DIFFICULTY_TIERS.join('|')}] [--seed <n>] [--asymmetric] [--sample] [--sql [--size ${GRID_SIZES.join('|')}]]`;
+
+function parseArgs(argv) {
+  const opts = { problem: null, count: 10, clues: null, difficulty: null, seed: null, symmetric: true, sample: false, sql: false, size: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--problem': opts.problem = Number(value()); break;
+      case '--count': opts.count = Number(value()); break;
+      case '--clues': opts.clues = Number(value()); break;
+      case '--difficulty': opts.difficulty = value(); break;
+      case '--seed': opts.seed = Number(value()); break;
+      case '--asymmetric': opts.symmetric = false; break;
+      case '--sample': opts.sample = true; break;
+      case '--sql': opts.sql = true; break;
+      case '--size': opts.size = Number(value()); break;
+      default: throw new Error(`unknown option: ${arg}`);
+    }
+  }
+
+  if (!Number.isInteger(opts.problem) || opts.problem <= 0) throw new Error('--problem must be a positive integer');
+  if (!Number.isInteger(opts.count) || opts.count <= 0) throw new Error('--count must be a positive integer');
+  if (opts.seed != null && !Number.isInteger(opts.seed)) throw new Error('--seed must be an integer');
+  if (opts.difficulty != null && !DIFFICULTY_TIERS.includes(opts.difficulty)) {
+    throw new Error(`--difficulty must be one of ${DIFFICULTY_TIERS.join(', ')}`);
+  }
+  if (opts.size != null) {
+    if (!opts.sql) throw new Error('--size is only for --sql (DB mode uses the problem grid size)');
+    if (!GRID_SIZES.includes(opts.size)) throw new Error(`--size must be one of ${GRID_SIZES.join(', ')}`);
+  }
+  return opts;
+}
+
+const toLine = grid => formatSudokuGrid(grid, { compact: true });
+
+async function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`${e.message}\n${USAGE}`);
+    process.exit(1);
+  }
+
+  // DB 모드: 스도쿠 그리드 문제인지 확인하고 기존 입력은 중복 방지
+  const db = opts.sql ? null : require('./db');
+  const seen = new Set();
+  let size = opts.size || 9;
+  try {
+    if (db) {
+      const [[problem]] = await db.query('SELECT id, judge_type, comparator, grid_size, variant FROM problems WHERE id=?', [opts.problem]);
+      if (!problem) throw new Error(`problem ${opts.problem} not found`);
+      if (problem.judge_type === 'classic' && problem.comparator !== 'sudoku') {
+        throw new Error(`problem ${opts.problem} is not a sudoku problem (classic, comparator=${problem.comparator})`);
+      }
+      if (problem.variant && problem.variant !== 'classic') {
+        throw new Error(`problem ${opts.problem} uses the ${problem.variant} variant (only classic puzzles can be generated)`);
+      }
+      size = problem.grid_size || 9;
+      const [existing] = await db.query('SELECT input_text FROM test_cases WHERE problem_id=?', [opts.problem]);
+      for (const tc of existing) {
+        const grid = parseSudokuGrid(String(tc.input_text), size);
+        if (grid) seen.add(toLine(grid));
+      }
+    }
+
+    const rows = [];
+    for (let i = 0; rows.length < opts.count; i++) {
+      if (i >= opts.count * 3) throw new Error(`too many duplicate puzzles (${rows.length}/${opts.count} generated)`);
+      const { puzzle, solution, clues, rating } = generatePuzzle({
+        size,
+        clues: opts.clues,
+        difficulty: opts.difficulty,
+        seed: opts.seed == null ? null : opts.seed + i,
+        symmetric: opts.symmetric
+      });
+      const input = toLine(puzzle);
+      if (seen.has(input)) continue;
+      seen.add(input);
+      rows.push([opts.problem, input, toLine(solution), opts.sample ? 1 : 0]);
+      console.error(`[${rows.length}/${opts.count}] clues=${clues} tier=${rating.tier} score=${rating.score}`);
+    }
+
+    if (opts.sql) {
+      const values = rows.map(([problemId, input, expected, sample]) => `(${problemId},'${input}','${expected}',${sample})`);
+      console.log(`INSERT INTO test_cases (problem_id, input_text, expected_output, is_sample) VALUES\n${values.join(',\n')};`);
+    } else {
+      await db.query('INSERT INTO test_cases (problem_id, input_text, expected_output, is_sample) VALUES ?', [rows]);
+      console.error(`inserted ${rows.length} test cases into problem ${opts.problem}`);
+    }
+  } catch (e) {
+    console.error(`[gen-testcases] ${e.message}`);
+    process.exitCode = 1;
+  } finally {
+    if (db) await db.end();
+  }
+}
+
+main();
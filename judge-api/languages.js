@@ -0,0 +1,606 @@
+const path = require('path');
+
+/**
+ * 제출 언어 레지스트리
+ *
+ * 모든 언어의 하네스는 같은 규약을 따른다:
+ *   stdin : 첫 줄에 결과 채널 nonce, 다음 줄에 케이스 수, 이후 케이스마다 GRID_SIZE줄×GRID_SIZE개 숫자 (0은 빈 칸),
+ *           GRID_SIZE줄×GRID_SIZE개 영역 번호, 케이지 수 K, K줄 "sum n r1 c1 ... rn cn" (좌표는 0부터)
+ *   fd 3  : 케이스가 끝날 때마다 한 줄 <nonce> CASE <idx> STATUS <status> CPU_US <cpu> [GRID <GRID_SIZE²개 값>]
+ *           status 0 = 반환 성공, 1 = 반환값 형식 오류, 5 = 예외, 6 = 메모리 부족
+ *           cpu = solveSudoku 호출 전후의 프로세스 CPU 시간 차이 (마이크로초)
+ *
+ * 결과 채널: 사용자 코드와 같이 쓰는 stdout 대신 전용 fd 3 을 쓴다.
+ * 하네스는 사용자 코드와 같은 프로세스라서 사용자 코드도 fd 3 에 쓸 수 있다.
+ * nonce 가 없는 줄은 위조로 처리하고, nonce 를 알아낸 코드가 쓴 줄이라도 GRID 는 호스트가 다시 검사하며
+ * CPU 시간은 커널이 잰 값과 맞춰 보므로 줄만으로 판정을 바꿀 수 없다 (results.js)
+ *
+ * 언어별 항목
+ * - sourceFile      : 작업 디렉터리에 저장할 소스 파일명
+ * - compile(dir, { pch }?): { command, args } 또는 null (컴파일 단계 없음)
+ * - precompiledHeader: 미리 컴파일할 헤더 (compilecache.js, 준비되면 compile 에 pch 로 헤더 경로 전달)
+ * - run(dir, limits): { command, args }
+ * - timeMultiplier  : 시간 제한 배수 (인터프리터/VM 언어 보정)
+ * - compileLimits / runLimits: sandbox.js 제한값 덮어쓰기
+ *   (JVM/V8 은 가상 메모리를 크게 예약하므로 addressSpace: false 로 RLIMIT_AS 를 끄고 힙 옵션으로 제한)
+ * - buildHarness(userCode, { gridSize, variant }): 사용자 코드 + 하네스 전체 소스
+ *   문제의 그리드 크기는 컴파일 시점 상수 GRID_SIZE / BOX_SIZE 로 들어가고 사용자 코드에서도 쓸 수 있음
+ *   (기본 9 → C++ Grid 등 언어별 타입은 기존 9x9 와 같음)
+ *   변형 규칙(variants.js)은 상수 VARIANT, 케이스별 데이터는 solveSudoku 호출 전에 하네스가 채우는
+ *   전역 REGION(칸별 영역 번호: jigsaw 는 불규칙 영역, 그 외에는 박스 번호) / CAGES(killer 케이지) 로 전달
+ * - template        : 제출 폼 기본 코드
+ */
+
+// 박스 한 변 (GRID_SIZE = BOX_SIZE²)
+function boxSizeOf(gridSize) {
+  return Math.round(Math.sqrt(gridSize));
+}
+
+// 컴파일 최적화: -O2 (안정성과 성능 균형), -march=native (CPU 최적화), -pipe (메모리 사용)
+// PCH 는 같은 옵션으로 만들어야 사용되므로 공유
+const CPP_FLAGS = ['-std=c++17', '-O2', '-march=native', '-pipe'];
+
+const cpp = {
+  id: 'cpp',
+  name: 'C++17',
+  sourceFile: 'main.cpp',
+  timeMultiplier: 1,
+  // 하네스의 <bits/stdc++.h> 파싱이 컴파일 시간 대부분을 차지하므로 미리 컴파일
+  precompiledHeader: {
+    file: 'judge_pch.h',
+    source: '#include <bits/stdc++.h>\n',
+    command: 'g++',
+    args: (headerPath, outPath) => [...CPP_FLAGS, '-x', 'c++-header', headerPath, '-o', outPath]
+  },
+  compile: (dir, { pch } = {}) => ({
+    command: 'g++',
+    args: [...CPP_FLAGS, ...(pch ? ['-include', pch] : []), path.join(dir, 'main.cpp'), '-o', path.join(dir, 'main')]
+  }),
+  run: (dir) => ({ command: path.join(dir, 'main'), args: [] }),
+  template: `
+// 이 함수만 구현하세요.
+// input: 0은 빈 칸인 스도쿠 (GRID_SIZE x GRID_SIZE, 기본 9x9)
+// return: 완성된 스도쿠 (1~GRID_SIZE) 를 반환
+//
+// 주의:
+// - input에서 0이 아닌 칸은 절대 바꾸면 안 됩니다.
+// - 출력(stdout)은 채점에 사용되지 않습니다. (반환값만 검증)
+// - 상수 GRID_SIZE(한 변), BOX_SIZE(박스 한 변)를 쓸 수 있습니다.
+// - 변형 문제: VARIANT(규칙 이름), REGION[r][c](영역 번호), CAGES(killer 케이지, 좌표는 0부터)를 쓸 수 있습니다.
+
+Grid solveSudoku(const Grid& input) {
+    Grid out = input;
+    // TODO: out을 완성해서 반환
+    return out;
+}
+`,
+  buildHarness: (userCode, { gridSize = 9, variant = 'classic' } = {}) => `
+#include <bits/stdc++.h>
+using namespace std;
+
+constexpr int GRID_SIZE = ${gridSize};
+constexpr int BOX_SIZE = ${boxSizeOf(gridSize)};
+using Grid = array<array<int,GRID_SIZE>,GRID_SIZE>;
+constexpr const char* VARIANT = "${variant}";
+struct Cage { int sum; vector<pair<int,int>> cells; };
+Grid REGION{};       // 칸별 영역 번호 (케이스마다 하네스가 채움)
+vector<Cage> CAGES;  // killer 케이지 (그 외 변형은 비어 있음)
+
+// ===== User Code =====
+${userCode}
+// =====================
+
+int main() {
+  FILE* results = fdopen(3, "w"); // 결과 채널
+  if (!results) return 2;
+  string nonce;
+  int caseCount = 0;
+  if (!(cin >> nonce >> caseCount)) return 2;
+
+  for (int idx = 0; idx < caseCount; ++idx) {
+    Grid input;
+    for (int r=0;r<GRID_SIZE;r++) for (int c=0;c<GRID_SIZE;c++) cin >> input[r][c];
+    for (int r=0;r<GRID_SIZE;r++) for (int c=0;c<GRID_SIZE;c++) cin >> REGION[r][c];
+    int cageCount = 0;
+    if (!(cin >> cageCount)) return 2;
+    CAGES.assign(cageCount, Cage{});
+    for (auto& cage : CAGES) {
+      int n = 0;
+      cin >> cage.sum >> n;
+      cage.cells.resize(n);
+      for (auto& cell : cage.cells) cin >> cell.first >> cell.second;
+    }
+
+    Grid out{};
+    int status = 0;
+    timespec cpuStart{}, cpuEnd{};
+    clock_gettime(CLOCK_PROCESS_CPUTIME_ID, &cpuStart);
+    try {
+      out = solveSudoku(input);
+    } catch (const bad_alloc&) {
+      status = 6; // memory limit (RLIMIT_AS 초과로 할당 실패)
+    } catch (...) {
+      status = 5; // exception
+    }
+    clock_gettime(CLOCK_PROCESS_CPUTIME_ID, &cpuEnd);
+    long long cpuUs = ((cpuEnd.tv_sec - cpuStart.tv_sec) * 1000000000LL + (cpuEnd.tv_nsec - cpuStart.tv_nsec)) / 1000;
+
+    // 결과 채널(fd 3): <nonce> CASE <idx> STATUS <status> CPU_US <cpu> [GRID <GRID_SIZE²개 값>]
+    string line = nonce + " CASE " + to_string(idx) + " STATUS " + to_string(status) + " CPU_US " + to_string(cpuUs);
+    if (status == 0) {
+      line += " GRID";
+      for (int r=0;r<GRID_SIZE;r++) for (int c=0;c<GRID_SIZE;c++) line += ' ' + to_string(out[r][c]);
+    }
+    fprintf(results, "%s\\n", line.c_str());
+    fflush(results);
+
+    if (status != 0) {
+      // 첫 실패에서 즉시 종료
+      return 1;
+    }
+  }
+  return 0;
+}
+`
+};
+
+const c = {
+  id: 'c',
+  name: 'C11',
+  sourceFile: 'main.c',
+  timeMultiplier: 1,
+  compile: (dir) => ({
+    command: 'gcc',
+    args: ['-std=gnu11', '-O2', '-march=native', '-pipe', path.join(dir, 'main.c'), '-o', path.join(dir, 'main'), '-lm']
+  }),
+  run: (dir) => ({ command: path.join(dir, 'main'), args: [] }),
+  template: `
+// 이 함수만 구현하세요.
+// input.v[r][c]: 0은 빈 칸인 스도쿠 (GRID_SIZE x GRID_SIZE, 기본 9x9)
+// return: 완성된 스도쿠 (1~GRID_SIZE) 를 반환
+//
+// 주의:
+// - input에서 0이 아닌 칸은 절대 바꾸면 안 됩니다.
+// - 출력(stdout)은 채점에 사용되지 않습니다. (반환값만 검증)
+// - 상수 GRID_SIZE(한 변), BOX_SIZE(박스 한 변)를 쓸 수 있습니다.
+// - 변형 문제: VARIANT(규칙 이름), REGION[r][c](영역 번호), CAGES(killer 케이지, 좌표는 0부터)를 쓸 수 있습니다.
+
+Grid solveSudoku(Grid input) {
+    Grid out = input;
+    // TODO: out을 완성해서 반환
+    return out;
+}
+`,
+  buildHarness: (userCode, { gridSize = 9, variant = 'classic' } = {}) => `
+#include <stdio.h>
+#include <stdlib.h>
+#include <string.h>
+#include <time.h>
+
+enum { GRID_SIZE = ${gridSize}, BOX_SIZE = ${boxSizeOf(gridSize)} };
+typedef struct { int v[GRID_SIZE][GRID_SIZE]; } Grid;
+static const char VARIANT[] = "${variant}";
+typedef struct { int sum, count; int r[GRID_SIZE], c[GRID_SIZE]; } Cage;
+static int REGION[GRID_SIZE][GRID_SIZE];  // 칸별 영역 번호 (케이스마다 하네스가 채움)
+static Cage CAGES[GRID_SIZE * GRID_SIZE]; // killer 케이지 CAGES[0 .. CAGE_COUNT-1]
+static int CAGE_COUNT;
+
+// ===== User Code =====
+${userCode}
+// =====================
+
+int main(void) {
+  FILE *results = fdopen(3, "w"); // 결과 채널
+  if (!results) return 2;
+  char nonce[65];
+  int caseCount = 0;
+  if (scanf("%64s %d", nonce, &caseCount) != 2) return 2;
+
+  for (int idx = 0; idx < caseCount; ++idx) {
+    Grid input;
+    for (int r=0;r<GRID_SIZE;r++) for (int c=0;c<GRID_SIZE;c++) {
+      if (scanf("%d", &input.v[r][c]) != 1) return 2;
+    }
+    for (int r=0;r<GRID_SIZE;r++) for (int c=0;c<GRID_SIZE;c++) {
+      if (scanf("%d", &REGION[r][c]) != 1) return 2;
+    }
+    if (scanf("%d", &CAGE_COUNT) != 1 || CAGE_COUNT < 0 || CAGE_COUNT > GRID_SIZE * GRID_SIZE) return 2;
+    for (int k = 0; k < CAGE_COUNT; k++) {
+      Cage *cage = &CAGES[k];
+      if (scanf("%d %d", &cage->sum, &cage->count) != 2 || cage->count < 0 || cage->count > GRID_SIZE) return 2;
+      for (int j = 0; j < cage->count; j++) {
+        if (scanf("%d %d", &cage->r[j], &cage->c[j]) != 2) return 2;
+      }
+    }
+
+    struct timespec cpuStart, cpuEnd;
+    clock_gettime(CLOCK_PROCESS_CPUTIME_ID, &cpuStart);
+    Grid out = solveSudoku(input);
+    clock_gettime(CLOCK_PROCESS_CPUTIME_ID, &cpuEnd);
+    long long cpuUs = ((cpuEnd.tv_sec - cpuStart.tv_sec) * 1000000000LL + (cpuEnd.tv_nsec - cpuStart.tv_nsec)) / 1000;
+
+    // 결과 채널(fd 3): <nonce> CASE <idx> STATUS 0 CPU_US <cpu> GRID <GRID_SIZE²개 값>
+    fprintf(results, "%s CASE %d STATUS 0 CPU_US %lld GRID", nonce, idx, cpuUs);
+    for (int r=0;r<GRID_SIZE;r++) for (int c=0;c<GRID_SIZE;c++) fprintf(results, " %d", out.v[r][c]);
+    fprintf(results, "\\n");
+    fflush(results);
+  }
+  return 0;
+}
+`
+};
+
+const python3 = {
+  id: 'python3',
+  name: 'Python 3',
+  sourceFile: 'main.py',
+  timeMultiplier: 5,
+  // 문법 오류를 CE 로 처리하기 위해 바이트코드 컴파일만 수행
+  compile: (dir) => ({ command: 'python3', args: ['-m', 'py_compile', path.join(dir, 'main.py')] }),
+  run: (dir) => ({ command: 'python3', args: [path.join(dir, 'main.py')] }),
+  template: `
+# 이 함수만 구현하세요.
+# grid: 0은 빈 칸인 스도쿠 (GRID_SIZE개의 리스트, 각 GRID_SIZE개의 int, 기본 9x9)
+# return: 완성된 스도쿠 (1~GRID_SIZE)
+#
+# 주의:
+# - grid에서 0이 아닌 칸은 절대 바꾸면 안 됩니다.
+# - 출력(stdout)은 채점에 사용되지 않습니다. (반환값만 검증)
+# - 상수 GRID_SIZE(한 변), BOX_SIZE(박스 한 변)를 쓸 수 있습니다.
+# - 변형 문제: VARIANT(규칙 이름), REGION[r][c](영역 번호), CAGES(killer 케이지, 좌표는 0부터)를 쓸 수 있습니다.
+
+def solveSudoku(grid):
+    out = [row[:] for row in grid]
+    # TODO: out을 완성해서 반환
+    return out
+`,
+  buildHarness: (userCode, { gridSize = 9, variant = 'classic' } = {}) => `
+import sys
+
+sys.setrecursionlimit(100000)
+
+GRID_SIZE = ${gridSize}
+BOX_SIZE = ${boxSizeOf(gridSize)}
+VARIANT = '${variant}'
+REGION = []  # 칸별 영역 번호 (케이스마다 하네스가 채움)
+CAGES = []   # killer 케이지: (sum, [(r, c), ...])
+
+# ===== User Code =====
+${userCode}
+# =====================
+
+
+def _judge_main():
+    import os
+    import time
+
+    results = os.fdopen(3, 'w')  # 결과 채널
+    data = sys.stdin.read().split()
+    if len(data) < 2:
+        sys.exit(2)
+    nonce = data[0]
+    case_count = int(data[1])
+    pos = 2
+    for idx in range(case_count):
+        grid = [[int(data[pos + r * ${gridSize} + c]) for c in range(${gridSize})] for r in range(${gridSize})]
+        pos += ${gridSize * gridSize}
+        REGION[:] = [[int(data[pos + r * ${gridSize} + c]) for c in range(${gridSize})] for r in range(${gridSize})]
+        pos += ${gridSize * gridSize}
+        cage_count = int(data[pos])
+        pos += 1
+        cages = []
+        for _ in range(cage_count):
+            cage_sum, n = int(data[pos]), int(data[pos + 1])
+            cages.append((cage_sum, [(int(data[pos + 2 + 2 * j]), int(data[pos + 3 + 2 * j])) for j in range(n)]))
+            pos += 2 + 2 * n
+        CAGES[:] = cages
+
+        status = 0
+        out = None
+        cpu_start = time.process_time_ns()
+        try:
+            out = solveSudoku(grid)
+        except MemoryError:
+            status = 6
+        except BaseException:
+            status = 5
+        cpu_us = (time.process_time_ns() - cpu_start) // 1000
+
+        if status == 0:
+            try:
+                values = [int(out[r][c]) for r in range(${gridSize}) for c in range(${gridSize})]
+            except Exception:
+                status = 1
+
+        line = '%s CASE %d STATUS %d CPU_US %d' % (nonce, idx, status, cpu_us)
+        if status == 0:
+            line += ' GRID ' + ' '.join(str(v) for v in values)
+        results.write(line + '\\n')
+        results.flush()
+
+        if status != 0:
+            sys.exit(1)
+
+
+_judge_main()
+`
+};
+
+const java = {
+  id: 'java',
+  name: 'Java 17',
+  sourceFile: 'Main.java',
+  timeMultiplier: 2,
+  compileLimits: { addressSpace: false, processes: 64 },
+  runLimits: { addressSpace: false, processes: 64 },
+  compile: (dir) => ({
+    command: 'javac',
+    args: ['-J-Xmx512m', '-encoding', 'UTF-8', '-d', dir, path.join(dir, 'Main.java')]
+  }),
+  run: (dir, limits) => ({
+    command: 'java',
+    // --add-opens: 하네스가 결과 채널(fd 3)을 FileDescriptor 로 열기 위해 필요
+    args: [
+      `-Xmx${Math.max(16, Math.floor(limits.memoryKb / 1024))}m`, '-Xss64m', '-XX:+UseSerialGC',
+      '--add-opens', 'java.base/java.io=ALL-UNNAMED',
+      '-cp', dir, 'Main'
+    ]
+  }),
+  template: `
+// 이 메서드만 구현하세요. (java.util.*, java.io.* 는 import 되어 있습니다)
+// input: 0은 빈 칸인 스도쿠 (int[GRID_SIZE][GRID_SIZE], 기본 9x9)
+// return: 완성된 스도쿠 (int[GRID_SIZE][GRID_SIZE], 1~GRID_SIZE)
+//
+// 주의:
+// - input에서 0이 아닌 칸은 절대 바꾸면 안 됩니다.
+// - 출력(stdout)은 채점에 사용되지 않습니다. (반환값만 검증)
+// - 상수 GRID_SIZE(한 변), BOX_SIZE(박스 한 변)를 쓸 수 있습니다.
+// - 변형 문제: VARIANT(규칙 이름), REGION[r][c](영역 번호), CAGES(killer 케이지, 좌표는 0부터)를 쓸 수 있습니다.
+
+static int[][] solveSudoku(int[][] input) {
+    int[][] out = new int[GRID_SIZE][];
+    for (int r = 0; r < GRID_SIZE; r++) out[r] = input[r].clone();
+    // TODO: out을 완성해서 반환
+    return out;
+}
+`,
+  buildHarness: (userCode, { gridSize = 9, variant = 'classic' } = {}) => `
+import java.util.*;
+import java.io.*;
+
+public class Main {
+  // 결과 채널(fd 3): FileDescriptor 에 fd 번호를 직접 넣어서 엶
+  private static PrintStream judgeOpenResults() {
+    try {
+      FileDescriptor fd = new FileDescriptor();
+      java.lang.reflect.Field f = FileDescriptor.class.getDeclaredField("fd");
+      f.setAccessible(true);
+      f.setInt(fd, 3);
+      return new PrintStream(new FileOutputStream(fd), false, "US-ASCII");
+    } catch (Exception e) {
+      System.exit(2);
+      return null;
+    }
+  }
+
+  static final int GRID_SIZE = ${gridSize};
+  static final int BOX_SIZE = ${boxSizeOf(gridSize)};
+  static final String VARIANT = "${variant}";
+  static final class Cage {
+    final int sum;
+    final int[][] cells; // {r, c}
+    Cage(int sum, int[][] cells) { this.sum = sum; this.cells = cells; }
+  }
+  static int[][] REGION = new int[GRID_SIZE][GRID_SIZE]; // 칸별 영역 번호 (케이스마다 하네스가 채움)
+  static List<Cage> CAGES = new ArrayList<>();          // killer 케이지
+
+  // ===== User Code =====
+${userCode}
+  // =====================
+
+  public static void main(String[] args) throws IOException {
+    PrintStream results = judgeOpenResults();
+    BufferedReader reader = new BufferedReader(new InputStreamReader(System.in));
+    // 첫 줄의 nonce 는 숫자로 시작할 수 있어서 토크나이저 전에 줄 단위로 읽음
+    String nonceLine = reader.readLine();
+    if (nonceLine == null) System.exit(2);
+    String nonce = nonceLine.trim();
+    StreamTokenizer in = new StreamTokenizer(reader);
+    com.sun.management.OperatingSystemMXBean os =
+      (com.sun.management.OperatingSystemMXBean) java.lang.management.ManagementFactory.getOperatingSystemMXBean();
+
+    if (in.nextToken() == StreamTokenizer.TT_EOF) System.exit(2);
+    int caseCount = (int) in.nval;
+
+    for (int idx = 0; idx < caseCount; ++idx) {
+      int[][] input = new int[GRID_SIZE][GRID_SIZE];
+      for (int r = 0; r < GRID_SIZE; r++) for (int c = 0; c < GRID_SIZE; c++) {
+        in.nextToken();
+        input[r][c] = (int) in.nval;
+      }
+      for (int r = 0; r < GRID_SIZE; r++) for (int c = 0; c < GRID_SIZE; c++) {
+        in.nextToken();
+        REGION[r][c] = (int) in.nval;
+      }
+      in.nextToken();
+      int cageCount = (int) in.nval;
+      CAGES.clear();
+      for (int k = 0; k < cageCount; k++) {
+        in.nextToken();
+        int sum = (int) in.nval;
+        in.nextToken();
+        int[][] cells = new int[(int) in.nval][2];
+        for (int[] cell : cells) {
+          in.nextToken();
+          cell[0] = (int) in.nval;
+          in.nextToken();
+          cell[1] = (int) in.nval;
+        }
+        CAGES.add(new Cage(sum, cells));
+      }
+
+      int status = 0;
+      int[][] result = null;
+      long cpuStart = os.getProcessCpuTime();
+      try {
+        result = solveSudoku(input);
+      } catch (OutOfMemoryError e) {
+        status = 6;
+      } catch (Throwable e) {
+        status = 5;
+      }
+      long cpuUs = (os.getProcessCpuTime() - cpuStart) / 1000;
+
+      if (status == 0) {
+        if (result == null || result.length != GRID_SIZE) status = 1;
+        else for (int[] row : result) if (row == null || row.length != GRID_SIZE) status = 1;
+      }
+
+      StringBuilder sb = new StringBuilder();
+      sb.append(nonce).append(" CASE ").append(idx).append(" STATUS ").append(status).append(" CPU_US ").append(cpuUs);
+      if (status == 0) {
+        sb.append(" GRID");
+        for (int r = 0; r < GRID_SIZE; r++) for (int c = 0; c < GRID_SIZE; c++) sb.append(' ').append(result[r][c]);
+      }
+      results.print(sb.append('\\n'));
+      results.flush();
+
+      if (status != 0) System.exit(1);
+    }
+  }
+}
+`
+};
+
+const javascript = {
+  id: 'javascript',
+  name: 'JavaScript (Node.js)',
+  sourceFile: 'main.js',
+  timeMultiplier: 2,
+  compileLimits: { addressSpace: false, processes: 32 },
+  runLimits: { addressSpace: false, processes: 32 },
+  // 문법 오류를 CE 로 처리하기 위해 문법 검사만 수행
+  compile: (dir) => ({ command: 'node', args: ['--check', path.join(dir, 'main.js')] }),
+  run: (dir, limits) => ({
+    command: 'node',
+    args: [`--max-old-space-size=${Math.max(16, Math.floor(limits.memoryKb / 1024))}`, '--stack-size=65500', path.join(dir, 'main.js')]
+  }),
+  template: `
+// 이 함수만 구현하세요.
+// grid: 0은 빈 칸인 스도쿠 (GRID_SIZE개의 배열, 각 GRID_SIZE개의 number, 기본 9x9)
+// return: 완성된 스도쿠 (1~GRID_SIZE)
+//
+// 주의:
+// - grid에서 0이 아닌 칸은 절대 바꾸면 안 됩니다.
+// - 출력(stdout)은 채점에 사용되지 않습니다. (반환값만 검증)
+// - 상수 GRID_SIZE(한 변), BOX_SIZE(박스 한 변)를 쓸 수 있습니다.
+// - 변형 문제: VARIANT(규칙 이름), REGION[r][c](영역 번호), CAGES(killer 케이지, 좌표는 0부터)를 쓸 수 있습니다.
+
+function solveSudoku(grid) {
+  const out = grid.map(row => row.slice());
+  // TODO: out을 완성해서 반환
+  return out;
+}
+`,
+  buildHarness: (userCode, { gridSize = 9, variant = 'classic' } = {}) => `
+'use strict';
+
+const GRID_SIZE = ${gridSize};
+const BOX_SIZE = ${boxSizeOf(gridSize)};
+const VARIANT = '${variant}';
+const REGION = []; // 칸별 영역 번호 (케이스마다 하네스가 채움)
+const CAGES = [];  // killer 케이지: { sum, cells: [[r, c], ...] }
+
+// ===== User Code =====
+${userCode}
+// =====================
+
+(function judgeMain() {
+  const fs = require('fs');
+  const tokens = fs.readFileSync(0, 'utf8').split(/\\s+/).filter(Boolean);
+  if (tokens.length < 2) { process.exitCode = 2; return; }
+  const nonce = tokens[0];
+  const data = tokens.map(Number);
+  const caseCount = data[1];
+  let pos = 2;
+
+  for (let idx = 0; idx < caseCount; idx++) {
+    const grid = [];
+    for (let r = 0; r < GRID_SIZE; r++) grid.push(data.slice(pos + r * GRID_SIZE, pos + (r + 1) * GRID_SIZE));
+    pos += GRID_SIZE * GRID_SIZE;
+    REGION.length = 0;
+    for (let r = 0; r < GRID_SIZE; r++) REGION.push(data.slice(pos + r * GRID_SIZE, pos + (r + 1) * GRID_SIZE));
+    pos += GRID_SIZE * GRID_SIZE;
+    CAGES.length = 0;
+    const cageCount = data[pos++];
+    for (let k = 0; k < cageCount; k++) {
+      const cells = [];
+      for (let j = 0; j < data[pos + 1]; j++) cells.push([data[pos + 2 + 2 * j], data[pos + 3 + 2 * j]]);
+      CAGES.push({ sum: data[pos], cells });
+      pos += 2 + 2 * cells.length;
+    }
+
+    let status = 0;
+    let out = null;
+    const cpuStart = process.cpuUsage();
+    try {
+      out = solveSudoku(grid);
+    } catch (e) {
+      status = (e instanceof RangeError && /memory|allocation|array length/i.test(String(e.message))) ? 6 : 5;
+    }
+    const cpu = process.cpuUsage(cpuStart);
+
+    if (status === 0 && !(Array.isArray(out) && out.length === GRID_SIZE && out.every(row => row && row.length === GRID_SIZE))) {
+      status = 1;
+    }
+
+    // 정수가 아닌 칸(빈 칸, NaN, 1e+21 처럼 지수로 찍히는 값)은 범위 밖 값으로 처리 (GRID 에 그대로 쓰면 결과 줄 형식이 깨짐)
+    const values = [];
+    for (let r = 0; status === 0 && r < GRID_SIZE; r++) {
+      for (let c = 0; c < GRID_SIZE; c++) {
+        const v = Number(out[r][c]);
+        if (!Number.isSafeInteger(v)) {
+          status = 1;
+          break;
+        }
+        values.push(v);
+      }
+    }
+
+    let line = nonce + ' CASE ' + idx + ' STATUS ' + status + ' CPU_US ' + (cpu.user + cpu.system);
+    if (status === 0) line += ' GRID ' + values.join(' ');
+    fs.writeSync(3, line + '\\n'); // 결과 채널
+
+    if (status !== 0) {
+      process.exitCode = 1;
+      return;
+    }
+  }
+})();
+`
+};
+
+const LANGUAGES = { cpp, c, python3, java, javascript };
+
+const DEFAULT_LANGUAGE = 'cpp';
+
+function getLanguage(id) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, id) ? LANGUAGES[id] : null;
+}
+
+// 제출 폼용 목록 (하네스/명령 등 내부 정보는 제외)
+function listLanguages() {
+  return Object.values(LANGUAGES).map(lang => ({
+    id: lang.id,
+    name: lang.name,
+    timeMultiplier: lang.timeMultiplier,
+    template: lang.template
+  }));
+}
+
+// 전체 언어 정의 (compilecache.js 의 PCH 준비용)
+function allLanguages() {
+  return Object.values(LANGUAGES);
+}
+
+module.exports = { DEFAULT_LANGUAGE, getLanguage, listLanguages, allLanguages };
@@ -0,0 +1,225 @@
+-- 기존 DB(이전 schema.sql 로 만든 데이터)를 현재 스키마로 올리는 스크립트
+-- schema.sql 은 DB 를 새로 만들기 때문에 기존 데이터가 있을 때는 이 파일을 한 번만 실행한다.
+--   sudo docker exec -i judge-db mysql -uroot -prootpw judge < /volume1/docker/web/judge-api/migrate.sql
+USE judge;
+
+-- 비동기 채점 / 결과 사유 / 메모리 초과
+ALTER TABLE submissions
+  MODIFY status ENUM('PENDING','RUNNING','AC','WA','TLE','MLE','RE','CE') NOT NULL,
+  ADD INDEX idx_status (status);
+
+ALTER TABLE submission_results
+  MODIFY status ENUM('AC','WA','TLE','MLE','RE','CE') NOT NULL,
+  ADD COLUMN reason VARCHAR(32) NULL AFTER status;
+
+-- 채점 방식
+ALTER TABLE problems
+  ADD COLUMN checker_mode ENUM('exact','valid') NOT NULL DEFAULT 'exact' AFTER memory_limit_kb,
+  ADD COLUMN judge_type ENUM('function','classic') NOT NULL DEFAULT 'function' AFTER checker_mode,
+  ADD COLUMN comparator ENUM('exact','whitespace','sudoku') NOT NULL DEFAULT 'whitespace' AFTER judge_type;
+
+ALTER TABLE test_cases
+  ADD COLUMN checker_mode ENUM('exact','valid') NULL AFTER is_sample;
+
+-- 로그인 계정: 기존 (username, phone) 유저는 password_hash 가 NULL 인 상태로 남고,
+-- POST /auth/claim 으로 비밀번호를 설정하면 제출 기록/랭킹을 유지한 채 로그인 계정이 된다.
+ALTER TABLE users
+  MODIFY phone VARCHAR(20) NULL,
+  ADD COLUMN login_name VARCHAR(50) NULL AFTER phone,
+  ADD COLUMN password_hash VARCHAR(255) NULL AFTER login_name,
+  ADD COLUMN token_version INT UNSIGNED NOT NULL DEFAULT 0 AFTER password_hash,
+  ADD UNIQUE KEY uniq_login_name (login_name);
+
+-- 관리자 권한 (/admin API): UPDATE users SET is_admin=1 WHERE login_name='...';
+ALTER TABLE users
+  ADD COLUMN is_admin TINYINT(1) NOT NULL DEFAULT 0 AFTER token_version;
+
+-- 랭킹: 저장된 rank 대신 유저별 집계(solved_count 등)만 저장하고 순위는 조회 시 계산
+-- 적용 후 POST /recalculate-rankings 를 한 번 호출해서 solved_count 를 채운다.
+ALTER TABLE users
+  DROP INDEX idx_ranking,
+  DROP COLUMN `rank`,
+  ADD COLUMN solved_count INT UNSIGNED NOT NULL DEFAULT 0 AFTER is_admin,
+  ADD INDEX idx_ranking (solved_count, total_time_ms, total_memory_kb);
+
+-- 랭킹 정책: 첫 AC 전 오답 수 (RANKING_PENALTY_MS), 적용 후 POST /recalculate-rankings
+ALTER TABLE users
+  ADD COLUMN wrong_attempts INT UNSIGNED NOT NULL DEFAULT 0 AFTER total_memory_kb;
+
+-- 대회
+CREATE TABLE contests (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+
+  title VARCHAR(100) NOT NULL,
+  description TEXT,
+
+  -- 제출은 start_at <= now < end_at 동안만 가능
+  start_at DATETIME NOT NULL,
+  end_at DATETIME NOT NULL,
+  -- 종료 전 마지막 N분 동안 스코어보드 프리즈 (0이면 프리즈 없음)
+  freeze_minutes INT UNSIGNED NOT NULL DEFAULT 0,
+
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  INDEX idx_period (start_at, end_at)
+);
+
+CREATE TABLE contest_problems (
+  contest_id INT UNSIGNED NOT NULL,
+  problem_id INT UNSIGNED NOT NULL,
+
+  label VARCHAR(10) NOT NULL,  -- 대회 내 문제 번호 (A, B, ...)
+
+  PRIMARY KEY (contest_id, problem_id),
+  INDEX idx_problem (problem_id),
+
+  FOREIGN KEY (contest_id)
+    REFERENCES contests(id)
+    ON DELETE CASCADE,
+
+  FOREIGN KEY (problem_id)
+    REFERENCES problems(id)
+    ON DELETE CASCADE
+);
+
+CREATE TABLE contest_registrations (
+  contest_id INT UNSIGNED NOT NULL,
+  user_id INT UNSIGNED NOT NULL,
+
+  registered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (contest_id, user_id),
+
+  FOREIGN KEY (contest_id)
+    REFERENCES contests(id)
+    ON DELETE CASCADE,
+
+  FOREIGN KEY (user_id)
+    REFERENCES users(id)
+    ON DELETE CASCADE
+);
+
+ALTER TABLE submissions
+  ADD COLUMN contest_id INT UNSIGNED NULL AFTER problem_id,
+  ADD CONSTRAINT fk_submissions_contest FOREIGN KEY (contest_id) REFERENCES contests(id) ON DELETE SET NULL,
+  ADD INDEX idx_contest_user (contest_id, user_id);
+
+-- 유사도 검사 (표절 탐지)와 실격 처리
+ALTER TABLE users
+  ADD COLUMN disqualified TINYINT(1) NOT NULL DEFAULT 0 AFTER wrong_attempts,
+  ADD COLUMN disqualified_reason VARCHAR(255) NULL AFTER disqualified;
+
+CREATE TABLE similarity_reports (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+
+  -- 같은 문제의 AC 제출 중 유사도가 높은 유저 쌍 (similarity.js, user_a < user_b)
+  problem_id INT UNSIGNED NOT NULL,
+  user_a INT UNSIGNED NOT NULL,
+  user_b INT UNSIGNED NOT NULL,
+  submission_a INT UNSIGNED NOT NULL,
+  submission_b INT UNSIGNED NOT NULL,
+  similarity DECIMAL(5,4) NOT NULL,  -- 지문 자카드 유사도 (0~1)
+
+  -- 관리자 검토: open (미검토) / flagged (표절로 판단) / dismissed (문제 없음)
+  status ENUM('open','flagged','dismissed') NOT NULL DEFAULT 'open',
+  note VARCHAR(500) NULL,
+  reviewed_by INT UNSIGNED NULL,
+  reviewed_at DATETIME NULL,
+
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY uniq_problem_users (problem_id, user_a, user_b),
+  INDEX idx_status_similarity (status, similarity),
+
+  FOREIGN KEY (problem_id)
+    REFERENCES problems(id)
+    ON DELETE CASCADE,
+
+  FOREIGN KEY (user_a)
+    REFERENCES users(id)
+    ON DELETE CASCADE,
+
+  FOREIGN KEY (user_b)
+    REFERENCES users(id)
+    ON DELETE CASCADE,
+
+  FOREIGN KEY (submission_a)
+    REFERENCES submissions(id)
+    ON DELETE CASCADE,
+
+  FOREIGN KEY (submission_b)
+    REFERENCES submissions(id)
+    ON DELETE CASCADE,
+
+  FOREIGN KEY (reviewed_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL
+);
+
+-- 재채점 (이전 판정 기록)
+CREATE TABLE rejudges (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+
+  -- 재채점 범위 (rejudge.js): submission / user / problem 의 id
+  scope ENUM('submission','user','problem') NOT NULL,
+  target_id INT UNSIGNED NOT NULL,
+  reason VARCHAR(255) NULL,
+  requested_by INT UNSIGNED NULL,
+  submission_count INT UNSIGNED NOT NULL DEFAULT 0,
+
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  finished_at DATETIME NULL,  -- 모든 제출의 재채점이 끝난 시각
+
+  FOREIGN KEY (requested_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL
+);
+
+CREATE TABLE rejudge_items (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+
+  rejudge_id INT UNSIGNED NOT NULL,
+  submission_id INT UNSIGNED NOT NULL,
+
+  -- 재채점 전 판정 (감사 기록)
+  old_status ENUM('AC','WA','TLE','MLE','RE','CE') NOT NULL,
+  old_exec_time_ms INT NULL,
+  old_memory_kb INT NULL,
+  old_results JSON NULL,  -- 케이스별 결과 [{ testCaseId, status, reason, execTimeMs }]
+
+  -- 재채점 후 판정 (finished_at 이 NULL 이면 아직 채점 중)
+  new_status ENUM('AC','WA','TLE','MLE','RE','CE') NULL,
+  new_exec_time_ms INT NULL,
+  new_memory_kb INT NULL,
+  finished_at DATETIME NULL,
+
+  UNIQUE KEY uniq_rejudge_submission (rejudge_id, submission_id),
+  INDEX idx_submission_finished (submission_id, finished_at),
+
+  FOREIGN KEY (rejudge_id)
+    REFERENCES rejudges(id)
+    ON DELETE CASCADE,
+
+  FOREIGN KEY (submission_id)
+    REFERENCES submissions(id)
+    ON DELETE CASCADE
+);
+
+-- 스도쿠 그리드 크기 (기존 문제는 9x9)
+ALTER TABLE problems
+  ADD COLUMN grid_size TINYINT UNSIGNED NOT NULL DEFAULT 9 AFTER comparator;
+
+-- 스도쿠 변형 규칙 (기존 문제는 classic) + 케이스별 변형 데이터
+ALTER TABLE problems
+  ADD COLUMN variant ENUM('classic','diagonal','killer','jigsaw','antiknight') NOT NULL DEFAULT 'classic' AFTER grid_size;
+ALTER TABLE test_cases
+  ADD COLUMN variant_data JSON NULL AFTER checker_mode;
+
+-- 케이스별 시간 제한 기록
+ALTER TABLE submission_results
+  ADD COLUMN time_limit_ms INT NULL AFTER exec_time_ms;
+
+-- classic 문제의 실수 출력 비교 (comparators.js 의 float)
+ALTER TABLE problems
+  MODIFY comparator ENUM('exact','whitespace','float','sudoku') NOT NULL DEFAULT 'whitespace';
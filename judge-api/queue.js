@@ -0,0 +1,63 @@
+/**
+ * 채점 작업 큐
+ *
+ * - 동시에 실행되는 작업 수를 concurrency 로 제한
+ * - 대기열 길이가 maxQueued 를 넘으면 push() 가 false 반환
+ * - 작업은 { id, ... } 형태이며 id 로 대기 순번을 조회할 수 있음
+ * - { background: true } 작업(재채점 등)은 일반 작업이 모두 빠진 뒤에 실행되고 maxQueued 에 포함되지 않음
+ */
+function createJobQueue({ concurrency = 1, maxQueued = Infinity, worker, name = 'Queue' }) {
+  const waiting = [];
+  const running = new Set();
+
+  const foregroundCount = () => waiting.reduce((n, j) => n + (j.background ? 0 : 1), 0);
+
+  const pump = () => {
+    while (running.size < concurrency && waiting.length > 0) {
+      const job = waiting.shift();
+      running.add(job.id);
+
+      Promise.resolve()
+        .then(() => worker(job))
+        .catch((e) => {
+          console.error(`[${name}] job ${job.id} failed:`, e);
+        })
+        .finally(() => {
+          running.delete(job.id);
+          pump();
+        });
+    }
+  };
+
+  return {
+    push(job) {
+      if (running.has(job.id) || waiting.some(j => j.id === job.id)) return true;
+      if (job.background) {
+        waiting.push(job);
+      } else {
+        if (foregroundCount() >= maxQueued) return false;
+        // 일반 작업은 background 작업보다 앞에 넣음
+        const idx = waiting.findIndex(j => j.background);
+        if (idx === -1) waiting.push(job);
+        else waiting.splice(idx, 0, job);
+      }
+      pump();
+      return true;
+    },
+
+    // 0: 실행 중, 1 이상: 대기 순번, null: 큐에 없음
+    position(id) {
+      if (running.has(id)) return 0;
+      const idx = waiting.findIndex(j => j.id === id);
+      return idx === -1 ? null : idx + 1;
+    },
+
+    // waiting: 일반 작업 대기 수 (maxQueued 와 비교), background: background 작업 대기 수
+    stats() {
+      const foreground = foregroundCount();
+      return { running: running.size, waiting: foreground, background: waiting.length - foreground, concurrency, maxQueued };
+    }
+  };
+}
+
+module.exports = { createJobQueue };
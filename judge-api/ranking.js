@@ -0,0 +1,251 @@
+const db = require('./db');
+
+/**
+ * 랭킹
+ *
+ * - 유저별 집계(users.solved_count / total_time_ms / total_memory_kb / wrong_attempts)만 저장하고
+ *   순위는 조회할 때 윈도 함수로 계산
+ * - AC 가 나오면 해당 유저의 집계만 트랜잭션 안에서 다시 계산 (users 행을 FOR UPDATE 로 잠가서
+ *   같은 유저의 채점이 동시에 끝나도 집계가 섞이지 않음)
+ * - 대회 랭킹은 저장하지 않고 해당 대회 제출만으로 같은 기준으로 매번 계산 (getContestLeaderboard)
+ *
+ * 랭킹 정책 (환경변수, RANKING_POLICY 참고)
+ *   RANKING_SELECTION  문제별로 어떤 AC 제출을 기록으로 쓸지
+ *                      first_ac (첫 AC) / best_time (실행 시간 최소) / best_memory (메모리 최소)
+ *   RANKING_PENALTY_MS 첫 AC 전 오답(WA/TLE/MLE/RE, CE 제외) 1회당 시간 벌점 (ICPC 방식, 0 이면 없음)
+ *   RANKING_TIE_BREAK  해결 수가 같을 때 비교 순서: time_memory (시간 → 메모리) / memory_time
+ *   RANKING_TIES       동점 처리: competition (1,1,3) / dense (1,1,2), 둘 다 동점자는 같은 순위
+ *
+ * 시간 = 선택된 제출의 AC 케이스 실행 시간 합계, 메모리 = 선택된 제출의 memory_kb
+ * SELECTION 을 바꾸면 POST /recalculate-rankings 로 집계를 다시 계산해야 함 (벌점/동점 처리는 조회 시 반영)
+ */
+
+const SELECTION_ORDERS = {
+  first_ac: 'ac.id ASC',
+  best_time: 'ac.time_ms ASC, ac.memory_kb ASC, ac.id ASC',
+  best_memory: 'ac.memory_kb ASC, ac.time_ms ASC, ac.id ASC'
+};
+
+// 해결 수가 같을 때의 비교 순서 (scoreTime = 총 시간 + 벌점)
+const TIE_BREAKS = {
+  time_memory: (scoreTime) => [`${scoreTime} ASC`, 'u.total_memory_kb ASC'],
+  memory_time: (scoreTime) => ['u.total_memory_kb ASC', `${scoreTime} ASC`]
+};
+
+const RANK_FUNCTIONS = {
+  competition: 'RANK()',
+  dense: 'DENSE_RANK()'
+};
+
+const WRONG_STATUSES = ['WA', 'TLE', 'MLE', 'RE'];
+
+function loadPolicy(env) {
+  const policy = {
+    selection: env.RANKING_SELECTION || 'first_ac',
+    penaltyMs: Number(env.RANKING_PENALTY_MS || 0),
+    tieBreak: env.RANKING_TIE_BREAK || 'time_memory',
+    ties: env.RANKING_TIES || 'competition'
+  };
+
+  if (!SELECTION_ORDERS[policy.selection]) {
+    throw new Error(`RANKING_SELECTION must be one of ${Object.keys(SELECTION_ORDERS).join(', ')}`);
+  }
+  if (!Number.isInteger(policy.penaltyMs) || policy.penaltyMs < 0) {
+    throw new Error('RANKING_PENALTY_MS must be a non-negative integer');
+  }
+  if (!TIE_BREAKS[policy.tieBreak]) {
+    throw new Error(`RANKING_TIE_BREAK must be one of ${Object.keys(TIE_BREAKS).join(', ')}`);
+  }
+  if (!RANK_FUNCTIONS[policy.ties]) {
+    throw new Error(`RANKING_TIES must be one of ${Object.keys(RANK_FUNCTIONS).join(', ')}`);
+  }
+  return Object.freeze(policy);
+}
+
+const RANKING_POLICY = loadPolicy(process.env);
+
+/**
+ * 유저별 집계 쿼리
+ * filter: { userId?, contestId?, before? }
+ *   userId    해당 유저만
+ *   contestId 해당 대회에서 낸 제출만 (대회 랭킹)
+ *   before    이 시각 이전 제출만 (스코어보드 프리즈)
+ * 반환: { sql, params }
+ */
+function aggregateQuery(filter = {}, policy = RANKING_POLICY) {
+  const conds = [];
+  const params = [];
+  if (filter.userId != null) {
+    conds.push('user_id=?');
+    params.push(filter.userId);
+  }
+  if (filter.contestId != null) {
+    conds.push('contest_id=?');
+    params.push(filter.contestId);
+  }
+  if (filter.before != null) {
+    conds.push('created_at < ?');
+    params.push(filter.before);
+  }
+  const scope = (alias) => conds.map(c => `AND ${alias}.${c}`).join(' ');
+
+  const wrongStatuses = WRONG_STATUSES.map(s => `'${s}'`).join(',');
+  const sql = `
+    WITH ac AS (
+      SELECT s.id, s.user_id, s.problem_id,
+             GREATEST(COALESCE(s.memory_kb, 0), 0) AS memory_kb,
+             COALESCE(t.time_ms, 0) AS time_ms
+      FROM submissions s
+      LEFT JOIN LATERAL (
+        SELECT SUM(sr.exec_time_ms) AS time_ms
+        FROM submission_results sr
+        WHERE sr.submission_id = s.id AND sr.status='AC' AND sr.exec_time_ms > 0
+      ) t ON TRUE
+      WHERE s.status='AC' ${scope('s')}
+    ),
+    picked AS (
+      SELECT ac.*,
+             ROW_NUMBER() OVER (PARTITION BY ac.user_id, ac.problem_id ORDER BY ${SELECTION_ORDERS[policy.selection]}) AS rn,
+             MIN(ac.id) OVER (PARTITION BY ac.user_id, ac.problem_id) AS first_ac_id
+      FROM ac
+    )
+    SELECT p.user_id,
+           COUNT(*) AS solved_count,
+           SUM(p.time_ms) AS total_time_ms,
+           SUM(p.memory_kb) AS total_memory_kb,
+           SUM(w.wrong) AS wrong_attempts
+    FROM picked p
+    JOIN LATERAL (
+      SELECT COUNT(*) AS wrong
+      FROM submissions ws
+      WHERE ws.user_id = p.user_id AND ws.problem_id = p.problem_id
+        AND ws.id < p.first_ac_id AND ws.status IN (${wrongStatuses}) ${scope('ws')}
+    ) w ON TRUE
+    WHERE p.rn = 1
+    GROUP BY p.user_id`;
+
+  return { sql, params: [...params, ...params] };
+}
+
+async function withTransaction(fn) {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await fn(conn);
+    await conn.commit();
+    return result;
+  } catch (e) {
+    await conn.rollback().catch(() => {});
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * 유저 1명의 집계 갱신 (AC 판정 직후 호출)
+ * 해결한 문제가 없으면 total_* 를 NULL 로 두어 랭킹에서 제외
+ */
+async function updateRanking(userId) {
+  return withTransaction(async (conn) => {
+    const [[user]] = await conn.query('SELECT id FROM users WHERE id=? FOR UPDATE', [userId]);
+    if (!user) return null;
+
+    const agg1 = aggregateQuery({ userId });
+    const [[agg]] = await conn.query(agg1.sql, agg1.params);
+    const stats = agg
+      ? {
+          solvedCount: Number(agg.solved_count),
+          // 실행 시간이 0 이어도 랭킹에 포함되도록 최소 1ms
+          totalTimeMs: Math.max(Number(agg.total_time_ms), 1),
+          totalMemoryKb: Number(agg.total_memory_kb),
+          wrongAttempts: Number(agg.wrong_attempts)
+        }
+      : { solvedCount: 0, totalTimeMs: null, totalMemoryKb: null, wrongAttempts: 0 };
+
+    await conn.query(
+      'UPDATE users SET solved_count=?, total_time_ms=?, total_memory_kb=?, wrong_attempts=? WHERE id=?',
+      [stats.solvedCount, stats.totalTimeMs, stats.totalMemoryKb, stats.wrongAttempts, userId]
+    );
+    return stats;
+  });
+}
+
+/**
+ * 전체 유저 집계를 한 번의 UPDATE 로 다시 계산 (수동 복구/정책 변경/마이그레이션용)
+ */
+async function recalculateAllRankings() {
+  const all = aggregateQuery();
+  return withTransaction(async (conn) => {
+    const [upd] = await conn.query(
+      `UPDATE users u
+       LEFT JOIN (${all.sql}) a ON a.user_id = u.id
+       SET u.solved_count = COALESCE(a.solved_count, 0),
+           u.total_time_ms = IF(a.user_id IS NULL, NULL, GREATEST(a.total_time_ms, 1)),
+           u.total_memory_kb = a.total_memory_kb,
+           u.wrong_attempts = COALESCE(a.wrong_attempts, 0)`
+    );
+    return { users: upd.affectedRows };
+  });
+}
+
+// source: users 와 같은 집계 컬럼(id, username, solved_count, total_time_ms, total_memory_kb, wrong_attempts, disqualified)을 가진 테이블/서브쿼리
+// 실격 처리된 유저(disqualified)는 집계는 유지하되 순위에서 제외
+function rankedUsersSql(source = 'users', policy = RANKING_POLICY) {
+  const scoreTime = `(u.total_time_ms + u.wrong_attempts * ${policy.penaltyMs})`;
+  const order = ['u.solved_count DESC', ...TIE_BREAKS[policy.tieBreak](scoreTime)].join(', ');
+  return `
+    SELECT u.id, u.username, u.solved_count, u.total_time_ms, u.total_memory_kb, u.wrong_attempts,
+           u.wrong_attempts * ${policy.penaltyMs} AS penalty_ms,
+           ${scoreTime} AS score_time_ms,
+           ${RANK_FUNCTIONS[policy.ties]} OVER (ORDER BY ${order}) AS \`rank\`
+    FROM ${source} u
+    WHERE u.solved_count > 0 AND u.disqualified = 0`;
+}
+
+async function getLeaderboard(limit) {
+  const [rows] = await db.query(
+    `SELECT * FROM (${rankedUsersSql()}) r ORDER BY r.\`rank\` ASC, r.id ASC LIMIT ?`,
+    [limit]
+  );
+  return rows;
+}
+
+// 유저 1명의 순위 (랭킹에 없으면 null)
+async function getUserRank(userId) {
+  const [[row]] = await db.query(
+    `SELECT * FROM (${rankedUsersSql()}) r WHERE r.id=?`,
+    [userId]
+  );
+  return row || null;
+}
+
+/**
+ * 대회 랭킹: 참가 등록한 유저의 대회 중 제출만 같은 기준으로 집계 (저장하지 않고 매번 계산)
+ * before 가 있으면 그 시각 이전 제출만 반영 (프리즈된 스코어보드)
+ */
+async function getContestLeaderboard(contestId, { before = null, limit = 1000 } = {}) {
+  const agg = aggregateQuery({ contestId, before });
+  const source = `(
+    SELECT cu.id, cu.username, a.solved_count,
+           GREATEST(a.total_time_ms, 1) AS total_time_ms, a.total_memory_kb, a.wrong_attempts, cu.disqualified
+    FROM contest_registrations cr
+    JOIN users cu ON cu.id = cr.user_id
+    JOIN (${agg.sql}) a ON a.user_id = cr.user_id
+    WHERE cr.contest_id = ?
+  )`;
+  const [rows] = await db.query(
+    `SELECT * FROM (${rankedUsersSql(source)}) r ORDER BY r.\`rank\` ASC, r.id ASC LIMIT ?`,
+    [...agg.params, contestId, limit]
+  );
+  return rows;
+}
+
+module.exports = {
+  RANKING_POLICY,
+  updateRanking,
+  recalculateAllRankings,
+  getLeaderboard,
+  getUserRank,
+  getContestLeaderboard
+};
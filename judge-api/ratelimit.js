@@ -0,0 +1,99 @@
+/**
+ * 요청 속도 제한 (프로세스 메모리, 슬라이딩 윈도)
+ *
+ * createRateLimiter({ name, windowMs, max, key }) → express 미들웨어
+ * - key(req) 별로 windowMs 안의 요청 시각을 기록하고 max 개를 넘으면 429 + Retry-After(초)
+ * - 기본 key 는 로그인 유저 id, 없으면 IP (byIp: 로그인 여부와 관계없이 IP 기준)
+ * - max 가 0 이면 제한하지 않음
+ *
+ * IP 는 req.ip 를 사용하므로 프록시(nginx) 뒤에서는 app 의 'trust proxy' 설정이 필요
+ */
+function createRateLimiter({ name, windowMs, max, key = byUserOrIp }) {
+  if (!(max > 0)) return (req, res, next) => next();
+
+  const hits = new Map(); // key -> 요청 시각 배열 (오래된 순)
+
+  const prune = (list, now) => {
+    while (list.length > 0 && list[0] <= now - windowMs) list.shift();
+  };
+
+  // 오래된 키 정리 (메모리 누수 방지)
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [k, list] of hits) {
+      prune(list, now);
+      if (list.length === 0) hits.delete(k);
+    }
+  }, Math.max(windowMs, 10000));
+  sweeper.unref();
+
+  return function rateLimit(req, res, next) {
+    const now = Date.now();
+    const k = key(req);
+    let list = hits.get(k);
+    if (!list) {
+      list = [];
+      hits.set(k, list);
+    }
+    prune(list, now);
+
+    if (list.length >= max) {
+      const retryAfterSec = Math.ceil((list[0] + windowMs - now) / 1000);
+      return tooManyRequests(res, `too many ${name} requests, try again in ${Math.max(1, retryAfterSec)} s`, retryAfterSec);
+    }
+
+    list.push(now);
+    next();
+  };
+}
+
+/**
+ * 키별로 처리 중인 요청 수 (동시 요청 한도 확인용)
+ *
+ * createInFlightTracker({ key }) → express 미들웨어 + count(k)
+ * - 요청이 들어오면 key(req) 로 1개 예약하고, 응답이 끝나거나(finish) 연결이 끊기면(close) 한 번만 풀어 줌
+ *   (핸들러가 에러 응답을 보내도 같은 경로로 풀림)
+ * - count(k): 지금 처리 중인 요청 수 (확인하는 요청 자신도 포함)
+ *
+ * 한도 확인 ~ 저장 사이에 같은 키의 요청이 동시에 들어와도 서로의 예약이 보이므로 함께 한도를 넘지 않음
+ */
+function createInFlightTracker({ key = byUserOrIp } = {}) {
+  const counts = new Map(); // key -> 처리 중인 요청 수
+
+  function track(req, res, next) {
+    const k = key(req);
+    counts.set(k, (counts.get(k) || 0) + 1);
+
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      const n = counts.get(k) - 1;
+      if (n > 0) counts.set(k, n);
+      else counts.delete(k);
+    };
+    res.once('finish', release);
+    res.once('close', release);
+    next();
+  }
+
+  track.count = (k) => counts.get(k) || 0;
+  return track;
+}
+
+function byUserOrIp(req) {
+  return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
+
+function byIp(req) {
+  return `ip:${req.ip}`;
+}
+
+// 429 + Retry-After 응답 (다른 제한에서도 같은 형식으로 사용)
+function tooManyRequests(res, error, retryAfterSec) {
+  const sec = Math.max(1, Math.ceil(retryAfterSec));
+  res.set('Retry-After', String(sec));
+  return res.status(429).json({ error, retryAfterSec: sec });
+}
+
+module.exports = { createRateLimiter, createInFlightTracker, byUserOrIp, byIp, tooManyRequests };
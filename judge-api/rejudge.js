@@ -0,0 +1,216 @@
+const db = require('./db');
+
+/**
+ * 재채점
+ *
+ * - 범위: 제출 1건 / 유저 1명의 모든 제출 / 문제 1개의 모든 제출 (채점 대기/진행 중인 제출은 제외)
+ * - 시작할 때 기존 판정(상태, 시간, 메모리, 케이스별 결과)을 rejudge_items 에 남기고 제출을 PENDING 으로 되돌림
+ *   → judgeSubmission 이 submission_results 를 지우고 새 결과로 채움
+ * - 제출 1건이 끝날 때마다 recordRejudgeResult 로 새 판정을 기록 (랭킹 갱신은 호출하는 쪽에서)
+ * - 모든 제출이 끝나면 rejudges.finished_at 기록
+ */
+
+const REJUDGE_SCOPES = {
+  submission: 'id',
+  user: 'user_id',
+  problem: 'problem_id'
+};
+
+/**
+ * 재채점 생성 (트랜잭션)
+ * 반환: { id, submissionIds } / 대상이 없으면 submissionIds 가 빈 배열 (rejudges 행은 만들지 않음)
+ */
+async function createRejudge({ scope, targetId, reason = null, requestedBy = null }) {
+  const column = REJUDGE_SCOPES[scope];
+  if (!column) throw new Error(`unknown rejudge scope: ${scope}`);
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [subs] = await conn.query(
+      `SELECT id, status, exec_time_ms, memory_kb
+       FROM submissions
+       WHERE ${column}=? AND status NOT IN ('PENDING','RUNNING')
+       ORDER BY id
+       FOR UPDATE`,
+      [targetId]
+    );
+    if (subs.length === 0) {
+      await conn.rollback();
+      return { id: null, submissionIds: [] };
+    }
+    const ids = subs.map(s => s.id);
+
+    const [results] = await conn.query(
+      `SELECT submission_id, test_case_id, status, reason, exec_time_ms
+       FROM submission_results
+       WHERE submission_id IN (?)
+       ORDER BY id`,
+      [ids]
+    );
+    const oldResults = new Map(ids.map(id => [id, []]));
+    for (const r of results) {
+      oldResults.get(r.submission_id).push({
+        testCaseId: r.test_case_id,
+        status: r.status,
+        reason: r.reason,
+        execTimeMs: r.exec_time_ms
+      });
+    }
+
+    const [ins] = await conn.query(
+      'INSERT INTO rejudges(scope, target_id, reason, requested_by, submission_count) VALUES (?,?,?,?,?)',
+      [scope, targetId, reason, requestedBy, ids.length]
+    );
+    const rejudgeId = ins.insertId;
+
+    await conn.query(
+      `INSERT INTO rejudge_items
+       (rejudge_id, submission_id, old_status, old_exec_time_ms, old_memory_kb, old_results)
+       VALUES ?`,
+      [subs.map(s => [rejudgeId, s.id, s.status, s.exec_time_ms, s.memory_kb, JSON.stringify(oldResults.get(s.id))])]
+    );
+    await conn.query(
+      `UPDATE submissions SET status='PENDING', exec_time_ms=NULL, memory_kb=NULL WHERE id IN (?)`,
+      [ids]
+    );
+    await conn.commit();
+    return { id: rejudgeId, submissionIds: ids };
+  } catch (e) {
+    await conn.rollback().catch(() => {});
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * 재채점 중인 제출 1건의 새 판정 기록 (채점이 끝난 뒤 호출)
+ * 반환: { rejudgeId, userId, contestId, oldStatus, newStatus, finished } 또는 null (재채점 대상이 아님)
+ */
+async function recordRejudgeResult(submissionId) {
+  const [[item]] = await db.query(
+    `SELECT ri.id, ri.rejudge_id, ri.old_status, s.user_id, s.contest_id, s.status, s.exec_time_ms, s.memory_kb
+     FROM rejudge_items ri
+     JOIN submissions s ON s.id = ri.submission_id
+     WHERE ri.submission_id=? AND ri.finished_at IS NULL
+     ORDER BY ri.id DESC
+     LIMIT 1`,
+    [submissionId]
+  );
+  if (!item) return null;
+
+  await db.query(
+    `UPDATE rejudge_items
+     SET new_status=?, new_exec_time_ms=?, new_memory_kb=?, finished_at=NOW()
+     WHERE id=?`,
+    [item.status, item.exec_time_ms, item.memory_kb, item.id]
+  );
+
+  const [[{ remaining }]] = await db.query(
+    'SELECT COUNT(*) AS remaining FROM rejudge_items WHERE rejudge_id=? AND finished_at IS NULL',
+    [item.rejudge_id]
+  );
+  if (Number(remaining) === 0) {
+    await db.query('UPDATE rejudges SET finished_at=NOW() WHERE id=? AND finished_at IS NULL', [item.rejudge_id]);
+  }
+
+  return {
+    rejudgeId: item.rejudge_id,
+    userId: item.user_id,
+    contestId: item.contest_id,
+    oldStatus: item.old_status,
+    newStatus: item.status,
+    finished: Number(remaining) === 0
+  };
+}
+
+// 재채점이 끝나지 않은 제출 id (서버 재시작 시 background 로 다시 넣기 위함)
+async function pendingRejudgeSubmissionIds() {
+  const [rows] = await db.query(
+    'SELECT DISTINCT submission_id FROM rejudge_items WHERE finished_at IS NULL ORDER BY submission_id'
+  );
+  return rows.map(r => r.submission_id);
+}
+
+// 재채점 진행 현황 (판정이 바뀐 제출 수 포함)
+const REJUDGE_SUMMARY_SQL = `
+  SELECT r.*, u.username AS requested_by_name,
+         COUNT(ri.finished_at) AS finished_count,
+         SUM(ri.finished_at IS NOT NULL AND ri.new_status <> ri.old_status) AS changed_count
+  FROM rejudges r
+  LEFT JOIN users u ON u.id = r.requested_by
+  LEFT JOIN rejudge_items ri ON ri.rejudge_id = r.id`;
+
+async function listRejudges(limit = 50) {
+  const [rows] = await db.query(
+    `${REJUDGE_SUMMARY_SQL}
+     GROUP BY r.id
+     ORDER BY r.id DESC
+     LIMIT ?`,
+    [limit]
+  );
+  return rows.map(publicRejudge);
+}
+
+async function getRejudge(rejudgeId) {
+  const [[row]] = await db.query(
+    `${REJUDGE_SUMMARY_SQL}
+     WHERE r.id=?
+     GROUP BY r.id`,
+    [rejudgeId]
+  );
+  if (!row) return null;
+
+  const [items] = await db.query(
+    `SELECT ri.*, s.user_id, s.problem_id
+     FROM rejudge_items ri
+     JOIN submissions s ON s.id = ri.submission_id
+     WHERE ri.rejudge_id=?
+     ORDER BY ri.submission_id`,
+    [rejudgeId]
+  );
+  return {
+    ...publicRejudge(row),
+    items: items.map(it => ({
+      submissionId: it.submission_id,
+      userId: it.user_id,
+      problemId: it.problem_id,
+      old: {
+        status: it.old_status,
+        execTimeMs: it.old_exec_time_ms,
+        memoryKb: it.old_memory_kb,
+        caseResults: typeof it.old_results === 'string' ? JSON.parse(it.old_results) : it.old_results
+      },
+      new: it.finished_at
+        ? { status: it.new_status, execTimeMs: it.new_exec_time_ms, memoryKb: it.new_memory_kb }
+        : null,
+      finishedAt: it.finished_at
+    }))
+  };
+}
+
+function publicRejudge(row) {
+  return {
+    id: row.id,
+    scope: row.scope,
+    targetId: row.target_id,
+    reason: row.reason,
+    requestedBy: row.requested_by,
+    requestedByName: row.requested_by_name,
+    submissionCount: row.submission_count,
+    finishedCount: Number(row.finished_count),
+    changedCount: Number(row.changed_count || 0),
+    createdAt: row.created_at,
+    finishedAt: row.finished_at
+  };
+}
+
+module.exports = {
+  REJUDGE_SCOPES,
+  createRejudge,
+  recordRejudgeResult,
+  pendingRejudgeSubmissionIds,
+  listRejudges,
+  getRejudge
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+
+/**
+ * function 하네스 결과 채널(fd 3) 파싱 + 케이스 판정
+ *
+ * 결과 줄: <nonce> CASE <idx> STATUS <status> CPU_US <cpu> [GRID <size²개 값>] (GRID 는 status 0 일 때만)
+ * - nonce: 실행마다 호스트가 만들어 stdin 첫 줄로 넘기는 값 (createNonce), 다른 값이거나 없으면 위조
+ * - CPU_US: solveSudoku 호출 전후의 프로세스 CPU 시간 차이 (마이크로초, 시작 시간/호스트 부하와 무관)
+ *
+ * 하네스는 사용자 코드와 같은 프로세스에서 돌기 때문에 사용자 코드도 fd 3 에 쓸 수 있다.
+ * nonce 는 아무 줄이나 쓰거나 예전 실행의 줄을 흉내 내는 것은 막지만, 하네스 메모리에 있으므로
+ * 작정한 코드는 읽어 낼 수 있다. 그래서 줄의 값은 nonce 와 관계없이 호스트가 다시 확인한다.
+ * - GRID: 호스트가 정답/규칙으로 다시 검사 (app.js 의 checkCaseOutput) → 위조한 줄로 오답을 통과시킬 수 없음
+ * - STATUS != 0: 제출자에게 불리한 주장뿐이라 그대로 인정
+ * - CPU_US: 줄여서 쓸 수는 있으므로 끝난 뒤 커널이 잰 프로세스 CPU 시간(time -v)과 맞춰 봄
+ *   (result 의 cpuMs) 보고된 시간 합보다 커널 시간이 graceMs(시작 시간 여유) 이상 크면 남는 시간을 첫 케이스에 더함
+ *   → 시간을 줄여 써도 얻는 것은 graceMs 이하, 케이스별 시간 제한은 호스트 타이머가 따로 강제
+ * 남는 규칙은 케이스 0 부터 순서대로 한 번씩, 실패 이후에는 줄이 없어야 한다는 것 (어기면 위조로 보고 모든 결과를 버림)
+ */
+
+const RESULT_LINE_RE = /^([0-9a-f]+) CASE (\d+) STATUS (-?\d+) CPU_US (\d+)(?: GRID((?: -?\d+)+))?$/;
+
+// 실행마다 새로 만드는 결과 채널 nonce
+function createNonce() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * 결과 채널 파서 (실행 중에 줄이 도착할 때마다 push)
+ * - push(line): 개행을 뗀 줄 1개, 받아들였으면 true (위조로 판정된 뒤에는 모든 줄을 거절)
+ * - result({ cpuMs, graceMs }): { statuses, times, grids, forged }
+ *   times 는 보고된 CPU 시간(ms), cpuMs(커널이 잰 전체 CPU 시간)가 있으면 위 설명대로 맞춤
+ *   forged: 규칙 위반 설명, 위반이면 모든 결과는 null
+ */
+function createBatchParser(caseCount, size = 9, nonce) {
+  const statuses = Array(caseCount).fill(null);
+  const times = Array(caseCount).fill(null);
+  const grids = Array(caseCount).fill(null);
+  let next = 0;
+  let failed = false;
+  let forged = null;
+
+  const reject = (reason) => {
+    forged = reason;
+    return false;
+  };
+
+  return {
+    push(line) {
+      if (forged) return false;
+
+      const m = RESULT_LINE_RE.exec(line);
+      if (!m) return reject(`malformed result line (case ${next})`);
+      if (m[1] !== nonce) return reject(`wrong nonce (case ${next})`);
+
+      const idx = Number(m[2]);
+      const st = Number(m[3]);
+      if (idx !== next || idx >= caseCount || failed) return reject(`unexpected result line for case ${idx}`);
+      if ((st === 0) !== Boolean(m[5])) return reject(`grid mismatch for status ${st} (case ${idx})`);
+      const values = m[5] ? m[5].trim().split(' ').map(Number) : null;
+      if (values && values.length !== size * size) {
+        return reject(`grid has ${values.length} values, expected ${size * size} (case ${idx})`);
+      }
+
+      statuses[idx] = st;
+      times[idx] = Math.round(Number(m[4]) / 1000);
+      if (values) {
+        grids[idx] = [];
+        for (let r = 0; r < size; r++) grids[idx].push(values.slice(r * size, (r + 1) * size));
+      }
+      failed = st !== 0;
+      next += 1;
+      return true;
+    },
+
+    result({ cpuMs = null, graceMs = 0 } = {}) {
+      if (forged) {
+        return {
+          statuses: Array(caseCount).fill(null),
+          times: Array(caseCount).fill(null),
+          grids: Array(caseCount).fill(null),
+          forged
+        };
+      }
+      const reported = times.reduce((sum, t) => sum + (t || 0), 0);
+      const adjusted = times.slice();
+      if (cpuMs != null && next > 0 && cpuMs - reported > graceMs) adjusted[0] += cpuMs - reported - graceMs;
+      return { statuses, times: adjusted, grids, forged: null };
+    }
+  };
+}
+
+/**
+ * 샌드박스 제한 위반을 채점 결과로 변환
+ */
+function violationToStatus(violation) {
+  switch (violation.type) {
+    case 'cpu':
+      return 'TLE';
+    case 'memory':
+      return 'MLE';
+    default:
+      // output / file / result: 별도 판정이 없으므로 RE (사유는 stderr 에 기록)
+      return 'RE';
+  }
+}
+
+const VIOLATION_REASONS = {
+  cpu: 'time_limit',
+  memory: 'memory_limit',
+  output: 'output_limit',
+  file: 'file_size_limit',
+  result: 'forged_result'
+};
+
+// 하네스/호스트 검증 상태 코드 -> 케이스별 실패 사유
+const CASE_REASONS = {
+  1: 'out_of_range',
+  2: 'clue_overwritten',
+  3: 'invalid_sudoku',
+  4: 'wrong_answer',
+  5: 'exception',
+  6: 'memory_limit',
+  7: 'invalid_format',
+  8: 'variant_violation'
+};
+
+/**
+ * 케이스 1개의 판정과 사유
+ * - statusCode: checkCaseOutput 결과 (CASE 줄이 없으면 null)
+ * - CASE 줄 없이 프로그램이 끝났다면 시그널/종료 코드/샌드박스 위반으로 원인을 구분
+ */
+function caseVerdict(statusCode, execRes, { timeMs = null, limitMs = null } = {}) {
+  // 결과가 없는 케이스만 실행 타임아웃의 영향을 받음 (먼저 끝난 케이스는 자기 결과대로)
+  if (statusCode == null && execRes.timeout) return { status: 'TLE', reason: 'time_limit' };
+  if (limitMs != null && timeMs != null && timeMs > limitMs) return { status: 'TLE', reason: 'time_limit' };
+  if (statusCode === 0) return { status: 'AC', reason: null };
+
+  if (statusCode != null) {
+    const reason = CASE_REASONS[statusCode] || 'unknown';
+    if (statusCode === 5) return { status: 'RE', reason };
+    if (statusCode === 6) return { status: 'MLE', reason };
+    return { status: 'WA', reason };
+  }
+
+  if (execRes.violation) {
+    return { status: violationToStatus(execRes.violation), reason: VIOLATION_REASONS[execRes.violation.type] || 'security_violation' };
+  }
+  if (execRes.signal != null) return { status: 'RE', reason: 'signal' };
+  if (execRes.exitCode !== 0) return { status: 'RE', reason: 'exit_code' };
+  return { status: 'WA', reason: 'missing_output' };
+}
+
+module.exports = {
+  createNonce,
+  createBatchParser,
+  caseVerdict
+};
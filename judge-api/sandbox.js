@@ -0,0 +1,288 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+/**
+ * 컴파일/실행 격리 계층
+ *
+ *   unshare --net --pid --mount --fork --kill-child   (네트워크 차단, 프로세스/마운트 격리)
+ *     sh -c MOUNT_SCRIPT                              (새 루트 구성, root 권한으로 실행)
+ *       unshare --root --wd                           (새 루트로 chroot)
+ *         setpriv --reuid/--regid                     (전용 비특권 uid 로 실행)
+ *           prlimit --cpu --as --nproc --fsize        (자원 제한)
+ *             <command>
+ *
+ * - 환경변수는 PATH/HOME/TMPDIR/LANG 만 전달 (DB 계정 등 노출 방지)
+ * - 작업 디렉터리는 제출마다 새로 만들고 해당 uid 만 접근 가능 (0700)
+ * - 루트는 읽기 전용: 시스템 디렉터리(SYSTEM_DIRS) + 작업 디렉터리만 보임 (/app 의 소스, testcase.sql 등은 없음)
+ * - /tmp, /dev/shm 은 실행마다 새 tmpfs (다른 제출과 공유되지 않음)
+ * - unshare 는 CAP_SYS_ADMIN 이 필요하므로 docker-compose 에서 cap_add 로 부여
+ * - SANDBOX_ENABLED=0 이면 격리 없이 실행 (로컬 개발용)
+ */
+
+const SANDBOX_ENABLED = !['0', 'false'].includes(String(process.env.SANDBOX_ENABLED || 'true').toLowerCase());
+const UID_BASE = Number(process.env.SANDBOX_UID_BASE || 20000);
+const UID_POOL_SIZE = Number(process.env.SANDBOX_UID_POOL_SIZE || 64);
+// RLIMIT_AS 는 가상 메모리 기준이라 런타임/스택 매핑을 위한 여유분을 더해줌
+const AS_SLACK_KB = Number(process.env.SANDBOX_AS_SLACK_KB || 65536);
+// 새 루트를 올릴 빈 디렉터리 (마운트는 네임스페이스 안에서만 보이므로 모든 실행이 같은 경로를 써도 됨)
+const ROOT_MOUNT = process.env.SANDBOX_ROOT_MOUNT || '/run/judge-sandbox-root';
+// /tmp, /dev/shm tmpfs 크기 (각각)
+const TMPFS_SIZE_KB = Number(process.env.SANDBOX_TMPFS_SIZE_KB || 65536);
+
+// 새 루트에 읽기 전용으로 보이는 디렉터리 (심볼릭 링크면 링크만 만듦)
+const SYSTEM_DIRS = ['/usr', '/bin', '/sbin', '/lib', '/lib64', '/etc'];
+const extraReadOnlyDirs = new Set();
+
+/**
+ * 마운트 네임스페이스 안에서 (아직 root 로) 새 루트를 구성한 뒤 chroot 해서 나머지 명령 실행
+ * 인자: 새 루트, 작업 디렉터리, tmpfs 크기(KB), 읽기 전용 디렉터리 수 N, 디렉터리 N 개, 실행할 명령...
+ */
+const MOUNT_SCRIPT = `
+set -e
+root=$1 work=$2 tmpsize=$3 n=$4
+shift 4
+mount -t tmpfs -o mode=755,size=1m,nosuid judge-root "$root"
+mkdir -p "$root/tmp" "$root/dev/shm" "$root/proc"
+mount -t tmpfs -o mode=1777,nosuid,nodev,size=\${tmpsize}k judge-tmp "$root/tmp"
+mount -t tmpfs -o mode=1777,nosuid,nodev,size=\${tmpsize}k judge-shm "$root/dev/shm"
+for f in null zero random urandom; do
+  touch "$root/dev/$f"
+  mount --bind "/dev/$f" "$root/dev/$f"
+done
+ln -s /proc/self/fd "$root/dev/fd"
+mount -t proc -o nosuid,nodev,noexec proc "$root/proc"
+while [ "$n" -gt 0 ]; do
+  d=$1
+  shift
+  n=$((n - 1))
+  if [ -L "$d" ]; then
+    mkdir -p "$root$(dirname "$d")"
+    ln -s "$(readlink "$d")" "$root$d"
+  elif [ -d "$d" ]; then
+    mkdir -p "$root$d"
+    mount --bind "$d" "$root$d"
+    mount -o remount,bind,ro,nosuid "$root$d"
+  fi
+done
+mkdir -p "$root$work"
+mount --bind "$work" "$root$work"
+mount -o remount,ro "$root"
+exec unshare --root="$root" --wd="$work" "$@"
+`;
+
+/**
+ * 시스템 디렉터리 외에 샌드박스 안에서 읽기 전용으로 보여야 하는 디렉터리 등록 (예: 미리 컴파일한 헤더)
+ */
+function exposeReadOnly(dir) {
+  extraReadOnlyDirs.add(path.resolve(dir));
+}
+
+const COMPILE_LIMITS = {
+  cpuSec: 30,
+  memoryKb: 2 * 1024 * 1024,
+  processes: 32,
+  fileSizeKb: 64 * 1024,
+  openFiles: 256
+};
+
+const RUN_LIMITS = {
+  cpuSec: 10,
+  memoryKb: 262144,
+  processes: 8,
+  fileSizeKb: 16 * 1024,
+  openFiles: 64
+};
+
+const SIGXCPU = 24;
+const SIGXFSZ = 25;
+
+const usedUids = new Set();
+
+function acquireUid() {
+  for (let i = 0; i < UID_POOL_SIZE; i++) {
+    const uid = UID_BASE + i;
+    if (!usedUids.has(uid)) {
+      usedUids.add(uid);
+      return uid;
+    }
+  }
+  throw new Error('sandbox uid pool exhausted');
+}
+
+/**
+ * 제출 1건용 샌드박스 생성: 전용 uid + 비공개 작업 디렉터리
+ * 사용 후 반드시 release() 호출
+ */
+function createSandbox(prefix = 'judge-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  const uid = SANDBOX_ENABLED ? acquireUid() : null;
+
+  try {
+    fs.chmodSync(dir, 0o700);
+    if (uid != null) fs.chownSync(dir, uid, uid);
+  } catch (e) {
+    if (uid != null) usedUids.delete(uid);
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw e;
+  }
+
+  return {
+    dir,
+    uid,
+    release() {
+      try {
+        fs.rmSync(dir, { recursive: true, force: true });
+      } catch {}
+      if (uid != null) usedUids.delete(uid);
+    }
+  };
+}
+
+function scrubbedEnv(dir) {
+  return {
+    PATH: '/usr/local/bin:/usr/bin:/bin',
+    HOME: dir,
+    TMPDIR: dir,
+    LANG: 'C.UTF-8'
+  };
+}
+
+function buildCommand(sandbox, command, args, limits) {
+  if (!SANDBOX_ENABLED) return { file: command, args };
+
+  const prlimitArgs = [
+    `--cpu=${limits.cpuSec}`,
+    `--stack=${limits.memoryKb * 1024}`,
+    `--nproc=${limits.processes}`,
+    `--fsize=${limits.fileSizeKb * 1024}`,
+    `--nofile=${limits.openFiles}`,
+    '--core=0'
+  ];
+  // addressSpace: false 이면 RLIMIT_AS 를 걸지 않음 (JVM/V8 처럼 가상 메모리를 크게 예약하는 런타임용)
+  if (limits.addressSpace !== false) {
+    prlimitArgs.push(`--as=${(limits.memoryKb + AS_SLACK_KB) * 1024}`);
+  }
+
+  fs.mkdirSync(ROOT_MOUNT, { recursive: true, mode: 0o755 });
+  const readOnlyDirs = [...SYSTEM_DIRS, ...extraReadOnlyDirs];
+
+  return {
+    file: 'unshare',
+    args: [
+      '--net', '--pid', '--mount', '--propagation', 'private', '--fork', '--kill-child',
+      '--',
+      'sh', '-c', MOUNT_SCRIPT, 'judge-sandbox',
+      ROOT_MOUNT, sandbox.dir, String(TMPFS_SIZE_KB), String(readOnlyDirs.length), ...readOnlyDirs,
+      'setpriv', `--reuid=${sandbox.uid}`, `--regid=${sandbox.uid}`, '--clear-groups', '--no-new-privs',
+      '--',
+      'prlimit', ...prlimitArgs,
+      '--',
+      command, ...args
+    ]
+  };
+}
+
+/**
+ * 샌드박스 안에서 명령 실행 (child_process.spawn 과 같은 ChildProcess 반환)
+ * 프로세스 그룹 단위로 종료할 수 있도록 detached 로 띄우고 kill() 을 덮어씀
+ * extraPipes: stdin/stdout/stderr 외에 fd 3 부터 열어 줄 파이프 수 (child.stdio[3..] 로 접근)
+ */
+function spawnSandboxed(sandbox, command, args, limits, { extraPipes = 0 } = {}) {
+  const cmd = buildCommand(sandbox, command, args, limits);
+  const child = spawn(cmd.file, cmd.args, {
+    cwd: sandbox.dir,
+    env: scrubbedEnv(sandbox.dir),
+    shell: false,
+    detached: true,
+    stdio: ['pipe', 'pipe', 'pipe', ...Array(extraPipes).fill('pipe')]
+  });
+
+  const originalKill = child.kill.bind(child);
+  child.kill = (signal = 'SIGKILL') => {
+    try {
+      process.kill(-child.pid, signal);
+      return true;
+    } catch {
+      return originalKill(signal);
+    }
+  };
+  return child;
+}
+
+/**
+ * 실행 제한 계산: 문제의 메모리 제한과 실행 시간 제한을 반영
+ */
+function runLimits({ timeLimitMs, memoryLimitKb } = {}) {
+  return {
+    ...RUN_LIMITS,
+    cpuSec: timeLimitMs ? Math.ceil(timeLimitMs / 1000) + 1 : RUN_LIMITS.cpuSec,
+    memoryKb: memoryLimitKb || RUN_LIMITS.memoryKb
+  };
+}
+
+const REPORT_START = '\tCommand being timed:';
+const REPORT_PREFIX_RE = /(?:^|\n)(Command (?:terminated by signal|exited with non-zero status) \d+)\n$/;
+
+function reportValue(report, re) {
+  const m = report.match(re);
+  return m ? Number(m[1]) : null;
+}
+
+/**
+ * stderr 끝의 /usr/bin/time -v 보고서를 프로그램 stderr 와 분리
+ * - 프로그램도 같은 stderr 에 보고서 모양의 글을 쓸 수 있으므로 맨 끝 블록("Exit status" 로 끝남)만 인정
+ *   (time 은 pid 네임스페이스의 1번이라 time 이 끝나면 남은 프로세스도 종료되어 그 뒤에 덧붙일 수 없음)
+ * - 호스트가 프로세스 그룹을 죽인 경우(시간/출력 초과)에는 진짜 보고서가 없으므로 호출하지 않음
+ * 반환: { stderr, userTimeSec, systemTimeSec, maxRssKb, signal } (보고서가 없으면 stderr 는 그대로, 나머지는 null)
+ */
+function splitTimeReport(text) {
+  text = text || '';
+  const none = { stderr: text, userTimeSec: null, systemTimeSec: null, maxRssKb: null, signal: null };
+
+  let start = text.lastIndexOf(REPORT_START);
+  if (start < 0 || (start > 0 && text[start - 1] !== '\n')) return none;
+  const report = text.slice(start);
+  if (!/\n\tExit status: \d+\s*$/.test(report)) return none;
+
+  // 비정상 종료 시 time 이 보고서 바로 앞에 붙이는 한 줄
+  const before = text.slice(0, start);
+  const prefix = before.match(REPORT_PREFIX_RE);
+  if (prefix) start -= prefix[1].length + 1;
+
+  return {
+    stderr: text.slice(0, start).trim(),
+    userTimeSec: reportValue(report, /\n\tUser time \(seconds\): ([0-9.]+)/),
+    systemTimeSec: reportValue(report, /\n\tSystem time \(seconds\): ([0-9.]+)/),
+    maxRssKb: reportValue(report, /\n\tMaximum resident set size \(kbytes\): (\d+)/),
+    signal: prefix ? reportValue(prefix[1], /terminated by signal (\d+)/) : null
+  };
+}
+
+/**
+ * 실행 결과로부터 어떤 제한을 위반했는지 판단
+ * 프로그램이 쓴 글(stderr)은 보지 않고 종료 시그널, rlimit, time 보고서의 최대 RSS 만으로 판단
+ * (RLIMIT_AS 에 걸려 할당이 실패한 뒤 프로그램이 스스로 끝난 경우는 RE, function 하네스는 케이스 상태로 MLE 보고)
+ * 반환: null 또는 { type: 'cpu'|'memory'|'file'|'output', message }
+ */
+function detectViolation({ signal, memoryKb, outputOverflow }, limits) {
+  if (outputOverflow) return { type: 'output', message: 'output limit exceeded' };
+  if (signal === SIGXCPU) return { type: 'cpu', message: `cpu time limit exceeded (${limits.cpuSec} s)` };
+  if (signal === SIGXFSZ) return { type: 'file', message: `file size limit exceeded (${limits.fileSizeKb} KB)` };
+  if (memoryKb != null && memoryKb >= limits.memoryKb) {
+    return { type: 'memory', message: `memory limit exceeded (${limits.memoryKb} KB)` };
+  }
+  return null;
+}
+
+module.exports = {
+  SANDBOX_ENABLED,
+  COMPILE_LIMITS,
+  createSandbox,
+  exposeReadOnly,
+  spawnSandboxed,
+  runLimits,
+  splitTimeReport,
+  detectViolation
+};
@@ -8,18 +8,28 @@ CREATE TABLE users (
   id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
 
   username VARCHAR(50) NOT NULL,
-  phone VARCHAR(20) NOT NULL,
-
-  -- 랭킹 관련 필드
-  total_time_ms INT UNSIGNED NULL,  -- 모든 문제 AC 통과 시 총 실행시간
-  total_memory_kb INT UNSIGNED NULL,  -- 모든 문제 AC 통과 시 총 메모리 사용량
-  rank INT UNSIGNED NULL,  -- 전체 랭킹 (NULL이면 랭킹 미포함)
+  phone VARCHAR(20) NULL,
+
+  -- 로그인 계정 (NULL 이면 비밀번호를 설정하지 않은 기존 (username, phone) 계정 → /auth/claim 으로 전환)
+  login_name VARCHAR(50) NULL,
+  password_hash VARCHAR(255) NULL,
+  token_version INT UNSIGNED NOT NULL DEFAULT 0,  -- 로그아웃 시 증가 (기존 토큰 무효화)
+  is_admin TINYINT(1) NOT NULL DEFAULT 0,  -- 문제/테스트케이스 관리 권한 (/admin API)
+
+  -- 랭킹 집계 (AC 시 해당 유저만 갱신, 순위는 조회 시 계산: ranking.js)
+  solved_count INT UNSIGNED NOT NULL DEFAULT 0,  -- AC 로 해결한 문제 수 (0이면 랭킹 미포함)
+  total_time_ms INT UNSIGNED NULL,  -- 해결한 문제들의 총 실행시간 (RANKING_SELECTION 으로 고른 제출 기준)
+  total_memory_kb INT UNSIGNED NULL,  -- 해결한 문제들의 총 메모리 사용량
+  wrong_attempts INT UNSIGNED NOT NULL DEFAULT 0,  -- 해결한 문제들의 첫 AC 전 오답 수 (RANKING_PENALTY_MS 벌점용)
+  disqualified TINYINT(1) NOT NULL DEFAULT 0,  -- 실격 (표절 등): 전체/대회 랭킹에서 제외
+  disqualified_reason VARCHAR(255) NULL,
 
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
 
   -- 핵심: username + phone 조합이 유니크
   UNIQUE KEY uniq_username_phone (username, phone),
-  INDEX idx_ranking (rank, total_time_ms, total_memory_kb)
+  UNIQUE KEY uniq_login_name (login_name),
+  INDEX idx_ranking (solved_count, total_time_ms, total_memory_kb)
 );
 
 CREATE TABLE problems (
@@ -31,9 +41,75 @@ CREATE TABLE problems (
   time_limit_ms INT NOT NULL DEFAULT 2000,
   memory_limit_kb INT NOT NULL DEFAULT 262144,
 
+  -- exact: 저장된 정답과 같아야 함, valid: 힌트를 지킨 올바른 스도쿠면 통과
+  checker_mode ENUM('exact','valid') NOT NULL DEFAULT 'exact',
+
+  -- function: solveSudoku 하네스로 채점, classic: 케이스마다 stdin(input_text) -> stdout 비교
+  judge_type ENUM('function','classic') NOT NULL DEFAULT 'function',
+  -- classic 문제의 출력 비교 방식 (exact / whitespace: 공백 무시 / float: 공백 무시 + 실수 오차 허용 / sudoku: 그리드 비교)
+  comparator ENUM('exact','whitespace','float','sudoku') NOT NULL DEFAULT 'whitespace',
+
+  -- 스도쿠 그리드 한 변 (4 / 9 / 16 / 25, 박스는 √size × √size)
+  grid_size TINYINT UNSIGNED NOT NULL DEFAULT 9,
+
+  -- 스도쿠 변형 규칙 (variants.js), 케이스별 데이터는 test_cases.variant_data
+  variant ENUM('classic','diagonal','killer','jigsaw','antiknight') NOT NULL DEFAULT 'classic',
+
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE TABLE contests (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+
+  title VARCHAR(100) NOT NULL,
+  description TEXT,
+
+  -- 제출은 start_at <= now < end_at 동안만 가능
+  start_at DATETIME NOT NULL,
+  end_at DATETIME NOT NULL,
+  -- 종료 전 마지막 N분 동안 스코어보드 프리즈 (0이면 프리즈 없음)
+  freeze_minutes INT UNSIGNED NOT NULL DEFAULT 0,
+
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  INDEX idx_period (start_at, end_at)
+);
+
+CREATE TABLE contest_problems (
+  contest_id INT UNSIGNED NOT NULL,
+  problem_id INT UNSIGNED NOT NULL,
+
+  label VARCHAR(10) NOT NULL,  -- 대회 내 문제 번호 (A, B, ...)
+
+  PRIMARY KEY (contest_id, problem_id),
+  INDEX idx_problem (problem_id),
+
+  FOREIGN KEY (contest_id)
+    REFERENCES contests(id)
+    ON DELETE CASCADE,
+
+  FOREIGN KEY (problem_id)
+    REFERENCES problems(id)
+    ON DELETE CASCADE
+);
+
+CREATE TABLE contest_registrations (
+  contest_id INT UNSIGNED NOT NULL,
+  user_id INT UNSIGNED NOT NULL,
+
+  registered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (contest_id, user_id),
+
+  FOREIGN KEY (contest_id)
+    REFERENCES contests(id)
+    ON DELETE CASCADE,
+
+  FOREIGN KEY (user_id)
+    REFERENCES users(id)
+    ON DELETE CASCADE
+);
+
 CREATE TABLE test_cases (
   id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
 
@@ -44,6 +120,12 @@ CREATE TABLE test_cases (
 
   is_sample TINYINT(1) NOT NULL DEFAULT 0,
 
+  -- NULL 이면 problems.checker_mode 를 따름 (해가 여러 개인 퍼즐은 'valid')
+  checker_mode ENUM('exact','valid') NULL,
+
+  -- 변형 데이터 (killer: { cages: [{ sum, cells: [[r, c], ...] }] }, jigsaw: { regions: size x size }, 그 외 NULL)
+  variant_data JSON NULL,
+
   FOREIGN KEY (problem_id)
     REFERENCES problems(id)
     ON DELETE CASCADE
@@ -54,10 +136,11 @@ CREATE TABLE submissions (
 
   user_id INT UNSIGNED NOT NULL,
   problem_id INT UNSIGNED NOT NULL,
+  contest_id INT UNSIGNED NULL,  -- 대회 중 제출이면 대회 id (대회 랭킹 집계용)
 
   language VARCHAR(20) NOT NULL DEFAULT 'cpp',
 
-  status ENUM('PENDING','AC','WA','TLE','RE','CE') NOT NULL,
+  status ENUM('PENDING','RUNNING','AC','WA','TLE','MLE','RE','CE') NOT NULL,
 
   exec_time_ms INT NULL,
   memory_kb INT NULL,
@@ -74,7 +157,13 @@ CREATE TABLE submissions (
     REFERENCES problems(id)
     ON DELETE CASCADE,
 
-  INDEX idx_user_problem (user_id, problem_id)
+  FOREIGN KEY (contest_id)
+    REFERENCES contests(id)
+    ON DELETE SET NULL,
+
+  INDEX idx_user_problem (user_id, problem_id),
+  INDEX idx_contest_user (contest_id, user_id),
+  INDEX idx_status (status)
 );
 
 CREATE TABLE submission_results (
@@ -83,9 +172,13 @@ CREATE TABLE submission_results (
   submission_id INT UNSIGNED NOT NULL,
   test_case_id INT UNSIGNED NOT NULL,
 
-  status ENUM('AC','WA','TLE','RE','CE') NOT NULL,
+  status ENUM('AC','WA','TLE','MLE','RE','CE') NOT NULL,
+  -- 실패 사유 (out_of_range, clue_overwritten, invalid_sudoku, wrong_answer, exception, signal, ...)
+  reason VARCHAR(32) NULL,
 
   exec_time_ms INT NULL,
+  -- 채점 때 적용한 케이스별 시간 제한 (problems.time_limit_ms × 언어 배수)
+  time_limit_ms INT NULL,
   memory_kb INT NULL,
 
   stdout MEDIUMTEXT,
@@ -103,3 +196,99 @@ CREATE TABLE submission_results (
 
   INDEX idx_submission (submission_id)
 );
+
+CREATE TABLE similarity_reports (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+
+  -- 같은 문제의 AC 제출 중 유사도가 높은 유저 쌍 (similarity.js, user_a < user_b)
+  problem_id INT UNSIGNED NOT NULL,
+  user_a INT UNSIGNED NOT NULL,
+  user_b INT UNSIGNED NOT NULL,
+  submission_a INT UNSIGNED NOT NULL,
+  submission_b INT UNSIGNED NOT NULL,
+  similarity DECIMAL(5,4) NOT NULL,  -- 지문 자카드 유사도 (0~1)
+
+  -- 관리자 검토: open (미검토) / flagged (표절로 판단) / dismissed (문제 없음)
+  status ENUM('open','flagged','dismissed') NOT NULL DEFAULT 'open',
+  note VARCHAR(500) NULL,
+  reviewed_by INT UNSIGNED NULL,
+  reviewed_at DATETIME NULL,
+
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY uniq_problem_users (problem_id, user_a, user_b),
+  INDEX idx_status_similarity (status, similarity),
+
+  FOREIGN KEY (problem_id)
+    REFERENCES problems(id)
+    ON DELETE CASCADE,
+
+  FOREIGN KEY (user_a)
+    REFERENCES users(id)
+    ON DELETE CASCADE,
+
+  FOREIGN KEY (user_b)
+    REFERENCES users(id)
+    ON DELETE CASCADE,
+
+  FOREIGN KEY (submission_a)
+    REFERENCES submissions(id)
+    ON DELETE CASCADE,
+
+  FOREIGN KEY (submission_b)
+    REFERENCES submissions(id)
+    ON DELETE CASCADE,
+
+  FOREIGN KEY (reviewed_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL
+);
+
+CREATE TABLE rejudges (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+
+  -- 재채점 범위 (rejudge.js): submission / user / problem 의 id
+  scope ENUM('submission','user','problem') NOT NULL,
+  target_id INT UNSIGNED NOT NULL,
+  reason VARCHAR(255) NULL,
+  requested_by INT UNSIGNED NULL,
+  submission_count INT UNSIGNED NOT NULL DEFAULT 0,
+
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  finished_at DATETIME NULL,  -- 모든 제출의 재채점이 끝난 시각
+
+  FOREIGN KEY (requested_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL
+);
+
+CREATE TABLE rejudge_items (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+
+  rejudge_id INT UNSIGNED NOT NULL,
+  submission_id INT UNSIGNED NOT NULL,
+
+  -- 재채점 전 판정 (감사 기록)
+  old_status ENUM('AC','WA','TLE','MLE','RE','CE') NOT NULL,
+  old_exec_time_ms INT NULL,
+  old_memory_kb INT NULL,
+  old_results JSON NULL,  -- 케이스별 결과 [{ testCaseId, status, reason, execTimeMs }]
+
+  -- 재채점 후 판정 (finished_at 이 NULL 이면 아직 채점 중)
+  new_status ENUM('AC','WA','TLE','MLE','RE','CE') NULL,
+  new_exec_time_ms INT NULL,
+  new_memory_kb INT NULL,
+  finished_at DATETIME NULL,
+
+  UNIQUE KEY uniq_rejudge_submission (rejudge_id, submission_id),
+  INDEX idx_submission_finished (submission_id, finished_at),
+
+  FOREIGN KEY (rejudge_id)
+    REFERENCES rejudges(id)
+    ON DELETE CASCADE,
+
+  FOREIGN KEY (submission_id)
+    REFERENCES submissions(id)
+    ON DELETE CASCADE
+);
@@ -0,0 +1,241 @@
+const db = require('./db');
+const { getLanguage } = require('./languages');
+
+/**
+ * 제출 코드 유사도 검사 (표절 탐지)
+ *
+ * 1. 정규화: 주석/전처리기 줄 제거, 문자열 → S, 숫자 → N, 키워드가 아닌 식별자 → V, 공백 무시
+ *    (변수 이름을 바꾸거나 주석/공백만 고친 코드는 같은 토큰열이 됨)
+ * 2. 지문: 토큰 K_GRAM 개씩 묶은 해시 중 WINDOW 개마다 최솟값만 남김 (winnowing)
+ *    언어별 기본 코드(template)에 있는 지문은 제외
+ * 3. 같은 문제 + 같은 언어의 AC 제출끼리 지문 자카드 유사도 |A∩B| / |A∪B| 계산
+ *    여러 제출에 흔하게 나오는 지문(COMMON_FRACTION 이상)은 관용구로 보고 제외
+ * 4. 서로 다른 유저 쌍마다 가장 비슷한 제출 쌍 하나를 similarity_reports 에 저장 (threshold 이상만)
+ *
+ * 결과 검토(flagged / dismissed)와 실격 처리(users.disqualified → 랭킹 제외)는 관리자 API 에서
+ */
+
+const K_GRAM = 8;
+const WINDOW = 4;
+const COMMON_FRACTION = 0.5;
+const COMMON_MIN_SUBMISSIONS = 10; // 제출이 이보다 적으면 흔한 지문 제외를 하지 않음
+const DEFAULT_THRESHOLD = Number(process.env.SIMILARITY_THRESHOLD || 0.8);
+
+const C_KEYWORDS = [
+  'auto', 'break', 'case', 'char', 'const', 'continue', 'default', 'do', 'double', 'else', 'enum', 'extern',
+  'float', 'for', 'goto', 'if', 'inline', 'int', 'long', 'register', 'return', 'short', 'signed', 'sizeof',
+  'static', 'struct', 'switch', 'typedef', 'union', 'unsigned', 'void', 'volatile', 'while'
+];
+const CPP_KEYWORDS = [
+  ...C_KEYWORDS, 'bool', 'catch', 'class', 'constexpr', 'delete', 'false', 'friend', 'mutable', 'namespace',
+  'new', 'nullptr', 'operator', 'private', 'protected', 'public', 'template', 'this', 'throw', 'true', 'try',
+  'typename', 'using', 'virtual'
+];
+const JAVA_KEYWORDS = [
+  'abstract', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'continue', 'default', 'do', 'double',
+  'else', 'extends', 'false', 'final', 'finally', 'float', 'for', 'if', 'implements', 'import', 'instanceof', 'int',
+  'interface', 'long', 'new', 'null', 'private', 'protected', 'public', 'return', 'short', 'static', 'super',
+  'switch', 'this', 'throw', 'throws', 'true', 'try', 'var', 'void', 'while'
+];
+const JS_KEYWORDS = [
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do', 'else', 'false', 'finally',
+  'for', 'function', 'if', 'in', 'instanceof', 'let', 'new', 'null', 'of', 'return', 'switch', 'this', 'throw',
+  'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while'
+];
+const PYTHON_KEYWORDS = [
+  'False', 'None', 'True', 'and', 'as', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else', 'except',
+  'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or', 'pass',
+  'raise', 'return', 'try', 'while', 'with', 'yield'
+];
+
+// 언어별 토큰 규칙: 앞쪽 대안일수록 우선 (주석/문자열을 먼저 잘라내야 안의 내용이 토큰이 되지 않음)
+const C_LIKE = String.raw`\/\/[^\n]*|\/\*[\s\S]*?\*\/`;
+const PREPROCESSOR = String.raw`#[^\n]*`;
+const C_STRINGS = String.raw`"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'`;
+const COMMON_TOKENS = String.raw`[A-Za-z_$][\w$]*|\d[\w.]*|\S`;
+
+const SYNTAX = {
+  cpp: { pattern: [C_LIKE, PREPROCESSOR, C_STRINGS], keywords: CPP_KEYWORDS },
+  c: { pattern: [C_LIKE, PREPROCESSOR, C_STRINGS], keywords: C_KEYWORDS },
+  java: { pattern: [C_LIKE, C_STRINGS], keywords: JAVA_KEYWORDS },
+  javascript: { pattern: [C_LIKE, C_STRINGS, '`(?:\\\\.|[^`\\\\])*`'], keywords: JS_KEYWORDS },
+  python3: {
+    pattern: [PREPROCESSOR, '"""[\\s\\S]*?"""', "'''[\\s\\S]*?'''", C_STRINGS],
+    keywords: PYTHON_KEYWORDS
+  }
+};
+
+for (const syntax of Object.values(SYNTAX)) {
+  syntax.regex = new RegExp([...syntax.pattern, COMMON_TOKENS].join('|'), 'g');
+  syntax.keywords = new Set(syntax.keywords);
+}
+
+/**
+ * 정규화된 토큰 배열
+ * 예: "int x = 10; // hi" → ['int', 'V', '=', 'N', ';']
+ */
+function normalizeSource(code, language) {
+  const syntax = SYNTAX[language] || SYNTAX.cpp;
+  const tokens = [];
+  for (const [tok] of String(code || '').matchAll(syntax.regex)) {
+    const ch = tok[0];
+    if (tok.startsWith('//') || tok.startsWith('/*') || ch === '#') continue;
+    if (ch === '"' || ch === "'" || ch === '`') tokens.push('S');
+    else if (/\d/.test(ch)) tokens.push('N');
+    else if (/[A-Za-z_$]/.test(ch)) tokens.push(syntax.keywords.has(tok) ? tok : 'V');
+    else tokens.push(tok);
+  }
+  return tokens;
+}
+
+// 32비트 FNV-1a
+function hashString(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * 코드 지문 (winnowing 으로 고른 k-gram 해시 집합)
+ */
+function fingerprint(code, language) {
+  const tokens = normalizeSource(code, language);
+  const hashes = [];
+  for (let i = 0; i + K_GRAM <= tokens.length; i++) {
+    hashes.push(hashString(tokens.slice(i, i + K_GRAM).join(' ')));
+  }
+
+  const selected = new Set();
+  if (hashes.length === 0) return selected;
+  if (hashes.length <= WINDOW) {
+    selected.add(Math.min(...hashes));
+    return selected;
+  }
+  for (let i = 0; i + WINDOW <= hashes.length; i++) {
+    let min = hashes[i];
+    for (let j = i + 1; j < i + WINDOW; j++) if (hashes[j] <= min) min = hashes[j];
+    selected.add(min);
+  }
+  return selected;
+}
+
+const templatePrints = new Map(); // 언어 id -> 기본 코드 지문
+
+function templateFingerprint(language) {
+  if (!templatePrints.has(language)) {
+    const lang = getLanguage(language);
+    templatePrints.set(language, lang ? fingerprint(lang.template, language) : new Set());
+  }
+  return templatePrints.get(language);
+}
+
+/**
+ * 같은 언어의 제출 목록에서 유사한 유저 쌍 찾기
+ * submissions: [{ id, user_id, code, language }]
+ * 반환: [{ a, b, similarity, shared }] (a.user_id < b.user_id, 유저 쌍마다 가장 비슷한 제출 쌍)
+ */
+function findSimilarPairs(submissions, threshold = DEFAULT_THRESHOLD) {
+  const byLanguage = new Map();
+  for (const s of submissions) {
+    if (!byLanguage.has(s.language)) byLanguage.set(s.language, []);
+    byLanguage.get(s.language).push(s);
+  }
+
+  const best = new Map(); // "userA:userB" -> pair
+  for (const [language, subs] of byLanguage) {
+    const base = templateFingerprint(language);
+    const prints = subs.map(s => {
+      const fp = fingerprint(s.code, language);
+      for (const h of base) fp.delete(h);
+      return fp;
+    });
+
+    // 지문 → 제출 인덱스 (역색인)
+    const postings = new Map();
+    prints.forEach((fp, i) => {
+      for (const h of fp) {
+        if (!postings.has(h)) postings.set(h, []);
+        postings.get(h).push(i);
+      }
+    });
+
+    // 흔한 지문은 관용구로 보고 제외 (유사도 계산에서도 빠짐)
+    if (subs.length >= COMMON_MIN_SUBMISSIONS) {
+      for (const [h, list] of postings) {
+        if (list.length / subs.length >= COMMON_FRACTION) {
+          postings.delete(h);
+          for (const i of list) prints[i].delete(h);
+        }
+      }
+    }
+
+    const shared = new Map(); // "i:j" -> 공유 지문 수
+    for (const list of postings.values()) {
+      for (let x = 0; x < list.length; x++) {
+        for (let y = x + 1; y < list.length; y++) {
+          if (subs[list[x]].user_id === subs[list[y]].user_id) continue;
+          const key = `${list[x]}:${list[y]}`;
+          shared.set(key, (shared.get(key) || 0) + 1);
+        }
+      }
+    }
+
+    for (const [key, count] of shared) {
+      const [i, j] = key.split(':').map(Number);
+      const similarity = count / (prints[i].size + prints[j].size - count);
+      if (similarity < threshold) continue;
+
+      const [a, b] = subs[i].user_id < subs[j].user_id ? [subs[i], subs[j]] : [subs[j], subs[i]];
+      const userKey = `${a.user_id}:${b.user_id}`;
+      const prev = best.get(userKey);
+      if (!prev || similarity > prev.similarity) best.set(userKey, { a, b, similarity, shared: count });
+    }
+  }
+  return [...best.values()].sort((p, q) => q.similarity - p.similarity);
+}
+
+/**
+ * 문제 1개의 AC 제출을 검사하고 결과를 similarity_reports 에 저장
+ * contestId 가 있으면 해당 대회 제출만
+ * 이미 있는 유저 쌍은 유사도/제출만 갱신하고 검토 상태(status, note)는 유지
+ * 반환: { submissions, pairs }
+ */
+async function checkProblemSimilarity({ problemId, contestId = null, threshold = DEFAULT_THRESHOLD }) {
+  const params = [problemId];
+  let contestCond = '';
+  if (contestId != null) {
+    contestCond = 'AND contest_id=?';
+    params.push(contestId);
+  }
+  const [subs] = await db.query(
+    `SELECT id, user_id, code, language
+     FROM submissions
+     WHERE problem_id=? AND status='AC' ${contestCond}
+     ORDER BY id`,
+    params
+  );
+
+  const pairs = findSimilarPairs(subs, threshold);
+  if (pairs.length > 0) {
+    await db.query(
+      `INSERT INTO similarity_reports
+       (problem_id, user_a, user_b, submission_a, submission_b, similarity)
+       VALUES ?
+       ON DUPLICATE KEY UPDATE
+         submission_a=VALUES(submission_a), submission_b=VALUES(submission_b), similarity=VALUES(similarity)`,
+      [pairs.map(p => [problemId, p.a.user_id, p.b.user_id, p.a.id, p.b.id, p.similarity.toFixed(4)])]
+    );
+  }
+  return { submissions: subs.length, pairs: pairs.length };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  normalizeSource,
+  fingerprint,
+  findSimilarPairs,
+  checkProblemSimilarity
+};
@@ -1,25 +1,126 @@
-function parseSudokuGrid(text) {
-  const digits = [];
-  for (const ch of (text || '')) {
-    if (ch >= '0' && ch <= '9') digits.push(ch);
+const { checkVariantRules } = require('./variants');
+
+// 지원하는 그리드 크기 (한 변 = 박스 크기², 기본 9)
+const GRID_SIZES = [4, 9, 16, 25];
+
+function boxSize(size) {
+  return Math.round(Math.sqrt(size));
+}
+
+/**
+ * 스도쿠 텍스트 → size x size 숫자 배열 (0 = 빈 칸), 형식이 맞지 않으면 null
+ * - 공백으로 구분한 정수: "0 12 3 ..." ('.' 도 빈 칸)
+ * - 한 칸에 한 글자: size ≤ 9 는 숫자 (그 외 문자는 무시), size > 9 는 A=1 … Y=25 (대소문자 무관)
+ *   '.' 과 '0' 은 빈 칸
+ * 칸이 size 개 이상인 줄이 size 줄 이상이면 줄마다 앞 size 칸, 아니면 앞에서부터 size² 칸을 사용
+ */
+function parseSudokuGrid(text, size = 9) {
+  const str = String(text || '');
+  const total = size * size;
+
+  const tokens = str.split(/\s+/).filter(Boolean);
+  if (tokens.length >= total && tokens.slice(0, total).every(t => /^(\d+|\.)$/.test(t))) {
+    const values = tokens.slice(0, total).map(t => (t === '.' ? 0 : Number(t)));
+    const grid = [];
+    for (let r = 0; r < size; r++) grid.push(values.slice(r * size, (r + 1) * size));
+    return grid;
   }
-  if (digits.length < 81) return null;
 
-  const grid = [];
-  for (let r = 0; r < 9; r++) {
-    grid.push(digits.slice(r * 9, (r + 1) * 9));
+  const cellRe = size <= 9 ? /[0-9.]/g : /[A-Za-z0-9.]/g;
+  const toValue = ch => {
+    if (ch === '.' || ch === '0') return 0;
+    if (size <= 9) return Number(ch);
+    return /[A-Za-z]/.test(ch) ? ch.toUpperCase().charCodeAt(0) - 64 : NaN; // 큰 그리드에서 1~9 숫자는 형식 오류
+  };
+
+  const lines = str
+    .split(/\r?\n/)
+    .map(line => line.match(cellRe) || [])
+    .filter(cells => cells.length > 0);
+  let chars;
+  if (lines.length >= size && lines.slice(0, size).every(cells => cells.length >= size)) {
+    chars = lines.slice(0, size).flatMap(cells => cells.slice(0, size));
+  } else {
+    chars = str.match(cellRe) || [];
+    if (chars.length < total) return null;
+    chars = chars.slice(0, total);
   }
+
+  const values = chars.map(toValue);
+  if (values.some(Number.isNaN)) return null;
+  const grid = [];
+  for (let r = 0; r < size; r++) grid.push(values.slice(r * size, (r + 1) * size));
   return grid;
 }
 
-function compareSudokuOutput(userStdout, expectedText) {
-  const userGrid = parseSudokuGrid(userStdout);
-  const expGrid = parseSudokuGrid(expectedText);
+/**
+ * size x size 숫자 배열 → 텍스트
+ * - 기본: size 줄 (size ≤ 9 는 숫자를 붙여서, 그보다 크면 공백으로 구분)
+ * - compact: size ≤ 9 는 숫자 size² 개 한 줄 (test_cases 저장 형식), 그보다 크면 기본과 같음
+ */
+function formatSudokuGrid(grid, { compact = false } = {}) {
+  const size = grid.length;
+  if (size <= 9) return grid.map(row => row.join('')).join(compact ? '' : '\n');
+  return grid.map(row => row.join(' ')).join('\n');
+}
+
+// 텍스트 또는 이미 파싱된 size x size 배열을 숫자 그리드로 변환
+function toNumberGrid(value, size = 9) {
+  if (Array.isArray(value)) {
+    if (value.length !== size || !value.every(row => Array.isArray(row) && row.length === size)) return null;
+    return value.map(row => row.map(Number));
+  }
+  return parseSudokuGrid(value, size);
+}
+
+/**
+ * 사용자 출력 검증
+ * - userOutput: stdout 텍스트 또는 size x size 숫자 배열
+ * - inputText: 주어지면 힌트(0이 아닌 칸)를 바꾸지 않았는지도 확인
+ * - options.mode: 'exact' (기본, 저장된 정답과 일치해야 함) 또는
+ *                 'valid' (힌트를 지킨 올바른 스도쿠면 통과, 해가 여러 개인 퍼즐용)
+ * - options.size: 그리드 한 변 (기본 9, GRID_SIZES)
+ * - options.variant / options.variantData: 변형 규칙과 케이스별 데이터 (variants.js, 기본 classic)
+ *
+ * 실패 사유(reason): invalid_format, out_of_range, clue_overwritten, invalid_sudoku, variant_violation, mismatch
+ */
+function compareSudokuOutput(userOutput, expectedText, inputText, options = {}) {
+  const mode = options.mode || 'exact';
+  const size = options.size || 9;
+  const userGrid = toNumberGrid(userOutput, size);
+  const expGrid = mode === 'valid' ? null : toNumberGrid(expectedText, size);
 
-  if (!userGrid || !expGrid) return { ok: false, reason: 'invalid_format' };
+  if (!userGrid || (mode !== 'valid' && !expGrid)) return { ok: false, reason: 'invalid_format' };
+  // 'valid' 모드는 힌트 확인이 필수
+  if (mode === 'valid' && inputText == null) return { ok: false, reason: 'invalid_format' };
+
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      const v = userGrid[r][c];
+      if (!Number.isInteger(v) || v < 1 || v > size) {
+        return { ok: false, reason: 'out_of_range', row: r, col: c, got: v };
+      }
+    }
+  }
 
-  for (let r = 0; r < 9; r++) {
-    for (let c = 0; c < 9; c++) {
+  if (inputText != null) {
+    const inGrid = toNumberGrid(inputText, size);
+    if (!inGrid) return { ok: false, reason: 'invalid_format' };
+    for (let r = 0; r < size; r++) {
+      for (let c = 0; c < size; c++) {
+        if (inGrid[r][c] !== 0 && userGrid[r][c] !== inGrid[r][c]) {
+          return { ok: false, reason: 'clue_overwritten', row: r, col: c, got: userGrid[r][c], expected: inGrid[r][c] };
+        }
+      }
+    }
+  }
+
+  const violation = checkVariantRules(userGrid, options.variant || 'classic', options.variantData || null);
+  if (violation) return { ok: false, reason: violation };
+  if (mode === 'valid') return { ok: true };
+
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
       if (userGrid[r][c] !== expGrid[r][c]) {
         return { ok: false, reason: 'mismatch', row: r, col: c, got: userGrid[r][c], expected: expGrid[r][c] };
       }
@@ -28,4 +129,505 @@ function compareSudokuOutput(userStdout, expectedText) {
   return { ok: true };
 }
 
-module.exports = { compareSudokuOutput };
+// ---------- 풀이 / 유일해 검사 / 난이도 / 생성 ----------
+//
+// 내부 표현: 길이 size² 배열 (0 = 빈 칸), 후보는 size 비트 마스크 (숫자 d → 1 << (d - 1))
+// 칸/단위 관계는 크기별로 한 번 계산해서 geometry(size) 로 재사용
+
+const geometries = new Map();
+
+function geometry(size) {
+  let geo = geometries.get(size);
+  if (geo) return geo;
+
+  const box = boxSize(size);
+  const total = size * size;
+  const row = [];
+  const col = [];
+  const boxOf = [];
+  const units = []; // 행 size 개, 열 size 개, 박스 size 개
+  const peers = []; // 칸마다 같은 행/열/박스의 다른 칸
+
+  for (let i = 0; i < total; i++) {
+    row.push(Math.floor(i / size));
+    col.push(i % size);
+    boxOf.push(Math.floor(i / (size * box)) * box + Math.floor((i % size) / box));
+  }
+  const indices = [...Array(size).keys()];
+  for (let k = 0; k < size; k++) units.push(indices.map(j => k * size + j));
+  for (let k = 0; k < size; k++) units.push(indices.map(j => j * size + k));
+  for (let k = 0; k < size; k++) {
+    const r0 = Math.floor(k / box) * box;
+    const c0 = (k % box) * box;
+    units.push(indices.map(j => (r0 + Math.floor(j / box)) * size + c0 + (j % box)));
+  }
+  for (let i = 0; i < total; i++) {
+    const set = new Set();
+    for (const u of [units[row[i]], units[size + col[i]], units[2 * size + boxOf[i]]]) {
+      for (const j of u) if (j !== i) set.add(j);
+    }
+    peers.push([...set]);
+  }
+
+  geo = { size, box, total, all: 2 ** size - 1, row, col, boxOf, units, peers };
+  geometries.set(size, geo);
+  return geo;
+}
+
+function bitCount(m) {
+  m -= (m >>> 1) & 0x55555555;
+  m = (m & 0x33333333) + ((m >>> 2) & 0x33333333);
+  return Math.imul((m + (m >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
+
+function bitDigits(mask, size) {
+  const digits = [];
+  for (let d = 1; d <= size; d++) if (mask & (1 << (d - 1))) digits.push(d);
+  return digits;
+}
+
+// 텍스트/size x size 배열 → 길이 size² 배열 (형식이 틀리거나 0~size 밖의 값이면 null)
+function toCells(value, size) {
+  const grid = toNumberGrid(value, size);
+  if (!grid) return null;
+  const cells = grid.flat();
+  return cells.every(v => Number.isInteger(v) && v >= 0 && v <= size) ? cells : null;
+}
+
+function toRows(cells, size) {
+  const grid = [];
+  for (let r = 0; r < size; r++) grid.push(cells.slice(r * size, (r + 1) * size));
+  return grid;
+}
+
+// 시드 고정 난수 (mulberry32), seed 가 없으면 Math.random
+function createRng(seed) {
+  if (seed == null) return Math.random;
+  let a = Number(seed) >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(list, rng) {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+/**
+ * 백트래킹 탐색 (후보가 가장 적은 칸부터)
+ * limit 개의 해를 찾으면 중단, maxNodes 번 넘게 분기하면 포기 (aborted, 퍼즐 생성 시간 제한용)
+ * 반환: { count, solution, aborted } (solution: 처음 찾은 해, 없으면 null)
+ */
+function search(cells, geo, limit, maxNodes = Infinity) {
+  const { size, total, all, row, col, boxOf } = geo;
+  const rows = Array(size).fill(0);
+  const cols = Array(size).fill(0);
+  const boxes = Array(size).fill(0);
+  const work = cells.slice();
+  for (let i = 0; i < total; i++) {
+    const v = work[i];
+    if (v === 0) continue;
+    const bit = 1 << (v - 1);
+    if ((rows[row[i]] | cols[col[i]] | boxes[boxOf[i]]) & bit) return { count: 0, solution: null, aborted: false };
+    rows[row[i]] |= bit;
+    cols[col[i]] |= bit;
+    boxes[boxOf[i]] |= bit;
+  }
+
+  let count = 0;
+  let solution = null;
+  let nodes = 0;
+  let aborted = false;
+
+  const dfs = () => {
+    if (++nodes > maxNodes) {
+      aborted = true;
+      return true;
+    }
+    let best = -1;
+    let bestMask = 0;
+    let bestCount = size + 1;
+    for (let i = 0; i < total; i++) {
+      if (work[i] !== 0) continue;
+      const mask = all & ~(rows[row[i]] | cols[col[i]] | boxes[boxOf[i]]);
+      const n = bitCount(mask);
+      if (n === 0) return false;
+      if (n < bestCount) {
+        best = i;
+        bestMask = mask;
+        bestCount = n;
+        if (n === 1) break;
+      }
+    }
+    if (best === -1) {
+      count += 1;
+      if (!solution) solution = work.slice();
+      return count >= limit;
+    }
+
+    const r = row[best];
+    const c = col[best];
+    const b = boxOf[best];
+    for (const d of bitDigits(bestMask, size)) {
+      const bit = 1 << (d - 1);
+      work[best] = d;
+      rows[r] |= bit;
+      cols[c] |= bit;
+      boxes[b] |= bit;
+      const done = dfs();
+      rows[r] &= ~bit;
+      cols[c] &= ~bit;
+      boxes[b] &= ~bit;
+      work[best] = 0;
+      if (done) return true;
+    }
+    return false;
+  };
+
+  dfs();
+  return { count, solution, aborted };
+}
+
+/**
+ * 스도쿠 풀이: 텍스트 또는 size x size 배열 → 완성된 배열 (해가 없거나 형식 오류면 null)
+ * 해가 여러 개면 그중 하나
+ */
+function solveSudoku(value, size = 9) {
+  const cells = toCells(value, size);
+  if (!cells) return null;
+  const { solution } = search(cells, geometry(size), 1);
+  return solution ? toRows(solution, size) : null;
+}
+
+/**
+ * 해의 개수 (limit 개까지만 셈, 기본 2 → 0/1/2 로 유일해 여부 판단)
+ * 형식 오류면 0
+ */
+function countSolutions(value, limit = 2, size = 9) {
+  const cells = toCells(value, size);
+  return cells ? search(cells, geometry(size), limit).count : 0;
+}
+
+function hasUniqueSolution(value, size = 9) {
+  return countSolutions(value, 2, size) === 1;
+}
+
+/**
+ * 풀이 기법: level 은 난이도 단계(DIFFICULTY_TIERS 의 인덱스 + 1), weight 는 1회 사용 점수
+ * 쉬운 기법부터 적용하고, 진전이 있으면 다시 처음 기법부터 시도
+ */
+const TECHNIQUES = [
+  { name: 'naked_single', level: 1, weight: 1, apply: s => nakedSingle(s) },
+  { name: 'hidden_single', level: 1, weight: 2, apply: s => hiddenSingle(s) },
+  { name: 'locked_candidates', level: 2, weight: 8, apply: s => lockedCandidates(s) },
+  { name: 'naked_pair', level: 2, weight: 10, apply: s => nakedSubset(s, 2) },
+  { name: 'hidden_pair', level: 2, weight: 12, apply: s => hiddenSubset(s, 2) },
+  { name: 'naked_triple', level: 3, weight: 20, apply: s => nakedSubset(s, 3) },
+  { name: 'hidden_triple', level: 3, weight: 25, apply: s => hiddenSubset(s, 3) },
+  { name: 'x_wing', level: 3, weight: 30, apply: s => xWing(s) }
+];
+
+const DIFFICULTY_TIERS = ['easy', 'medium', 'hard', 'expert'];
+const GUESS_WEIGHT = 100; // 기법으로 풀리지 않아 추측(백트래킹)이 필요한 경우
+
+function newSolveState(cells, geo) {
+  const state = { geo, cells: cells.slice(), cand: Array(geo.total).fill(geo.all), broken: false };
+  for (let i = 0; i < geo.total; i++) {
+    if (cells[i] !== 0) state.cand[i] = 0;
+  }
+  for (let i = 0; i < geo.total; i++) {
+    if (cells[i] === 0) continue;
+    const bit = 1 << (cells[i] - 1);
+    for (const p of geo.peers[i]) state.cand[p] &= ~bit;
+  }
+  for (let i = 0; i < geo.total; i++) {
+    if (cells[i] === 0 && state.cand[i] === 0) state.broken = true;
+  }
+  return state;
+}
+
+function place(state, i, d) {
+  const bit = 1 << (d - 1);
+  state.cells[i] = d;
+  state.cand[i] = 0;
+  for (const p of state.geo.peers[i]) {
+    if (state.cells[p] === 0 && (state.cand[p] & bit)) {
+      state.cand[p] &= ~bit;
+      if (state.cand[p] === 0) state.broken = true;
+    }
+  }
+}
+
+// cells 의 후보에서 mask 제거, 하나라도 지웠으면 true
+function eliminate(state, cells, mask) {
+  let changed = false;
+  for (const i of cells) {
+    if (state.cells[i] === 0 && (state.cand[i] & mask)) {
+      state.cand[i] &= ~mask;
+      if (state.cand[i] === 0) state.broken = true;
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+function nakedSingle(state) {
+  for (let i = 0; i < state.geo.total; i++) {
+    if (state.cells[i] === 0 && bitCount(state.cand[i]) === 1) {
+      place(state, i, bitDigits(state.cand[i], state.geo.size)[0]);
+      return true;
+    }
+  }
+  return false;
+}
+
+function hiddenSingle(state) {
+  for (const unit of state.geo.units) {
+    for (let d = 1; d <= state.geo.size; d++) {
+      const bit = 1 << (d - 1);
+      const spots = unit.filter(i => state.cells[i] === 0 && (state.cand[i] & bit));
+      if (spots.length === 1) {
+        place(state, spots[0], d);
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+// pointing: 박스 안의 후보가 한 행/열에만 있으면 그 행/열의 박스 밖에서 제거
+// claiming: 행/열 안의 후보가 한 박스에만 있으면 그 박스의 나머지에서 제거
+function lockedCandidates(state) {
+  const { size, units, row, col, boxOf } = state.geo;
+  for (let u = 0; u < units.length; u++) {
+    for (let d = 1; d <= size; d++) {
+      const bit = 1 << (d - 1);
+      const spots = units[u].filter(i => state.cells[i] === 0 && (state.cand[i] & bit));
+      if (spots.length < 2) continue;
+
+      const targets = [];
+      if (u >= 2 * size) {
+        if (spots.every(i => row[i] === row[spots[0]])) targets.push(units[row[spots[0]]]);
+        if (spots.every(i => col[i] === col[spots[0]])) targets.push(units[size + col[spots[0]]]);
+      } else if (spots.every(i => boxOf[i] === boxOf[spots[0]])) {
+        targets.push(units[2 * size + boxOf[spots[0]]]);
+      }
+      for (const target of targets) {
+        if (eliminate(state, target.filter(i => !spots.includes(i)), bit)) return true;
+      }
+    }
+  }
+  return false;
+}
+
+function combinations(list, size, start = 0, picked = [], out = []) {
+  if (picked.length === size) {
+    out.push(picked.slice());
+    return out;
+  }
+  for (let i = start; i < list.length; i++) {
+    picked.push(list[i]);
+    combinations(list, size, i + 1, picked, out);
+    picked.pop();
+  }
+  return out;
+}
+
+// 한 단위에서 n 칸의 후보 합집합이 n 개 → 그 숫자들을 나머지 칸에서 제거
+function nakedSubset(state, n) {
+  for (const unit of state.geo.units) {
+    const open = unit.filter(i => state.cells[i] === 0);
+    if (open.length <= n) continue;
+    const small = open.filter(i => bitCount(state.cand[i]) <= n);
+    for (const combo of combinations(small, n)) {
+      const mask = combo.reduce((m, i) => m | state.cand[i], 0);
+      if (bitCount(mask) !== n) continue;
+      if (eliminate(state, open.filter(i => !combo.includes(i)), mask)) return true;
+    }
+  }
+  return false;
+}
+
+// 한 단위에서 n 개 숫자가 들어갈 수 있는 칸이 n 칸뿐 → 그 칸들에서 다른 후보 제거
+function hiddenSubset(state, n) {
+  const { size, all } = state.geo;
+  for (const unit of state.geo.units) {
+    const open = unit.filter(i => state.cells[i] === 0);
+    if (open.length <= n) continue;
+    const digits = [];
+    const spotsOf = {};
+    for (let d = 1; d <= size; d++) {
+      const bit = 1 << (d - 1);
+      const spots = open.filter(i => state.cand[i] & bit);
+      if (spots.length >= 1 && spots.length <= n) {
+        digits.push(d);
+        spotsOf[d] = spots;
+      }
+    }
+    for (const combo of combinations(digits, n)) {
+      const spots = new Set(combo.flatMap(d => spotsOf[d]));
+      if (spots.size !== n) continue;
+      const keep = combo.reduce((m, d) => m | (1 << (d - 1)), 0);
+      if (eliminate(state, [...spots], all & ~keep)) return true;
+    }
+  }
+  return false;
+}
+
+// 두 행(열)에서 어떤 숫자의 후보가 같은 두 열(행)에만 있으면 그 두 열(행)의 다른 칸에서 제거
+function xWing(state) {
+  const { size, units, row, col } = state.geo;
+  for (let d = 1; d <= size; d++) {
+    const bit = 1 << (d - 1);
+    for (const [base, cross] of [[0, size], [size, 0]]) {
+      const lines = [];
+      for (let k = 0; k < size; k++) {
+        const spots = units[base + k].filter(i => state.cells[i] === 0 && (state.cand[i] & bit));
+        if (spots.length === 2) {
+          const pos = spots.map(i => (base === 0 ? col[i] : row[i]));
+          lines.push({ spots, key: pos.join(','), pos });
+        }
+      }
+      for (let a = 0; a < lines.length; a++) {
+        for (let b = a + 1; b < lines.length; b++) {
+          if (lines[a].key !== lines[b].key) continue;
+          const keep = [...lines[a].spots, ...lines[b].spots];
+          const targets = lines[a].pos.flatMap(k => units[cross + k]).filter(i => !keep.includes(i));
+          if (eliminate(state, targets, bit)) return true;
+        }
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * 난이도 평가: 사람이 쓰는 풀이 기법만으로 풀어 보고 필요한 기법으로 단계를 정함
+ * - easy: 싱글만, medium: locked candidates / 페어, hard: 트리플 / X-Wing, expert: 추측 필요
+ * - score: 기법별 weight × 사용 횟수 (+ 추측이 필요하면 GUESS_WEIGHT)
+ * 반환: { tier, score, techniques: { 기법: 횟수 }, solved } 또는 null (형식 오류/해 없음)
+ */
+function rateDifficulty(value, size = 9) {
+  const cells = toCells(value, size);
+  if (!cells || search(cells, geometry(size), 1).count === 0) return null;
+  return rateCells(cells, geometry(size));
+}
+
+function rateCells(cells, geo) {
+  const state = newSolveState(cells, geo);
+  const techniques = {};
+  let level = 1;
+  let score = 0;
+
+  while (!state.broken && state.cells.includes(0)) {
+    const used = TECHNIQUES.find(t => t.apply(state));
+    if (!used) break;
+    techniques[used.name] = (techniques[used.name] || 0) + 1;
+    level = Math.max(level, used.level);
+    score += used.weight;
+  }
+
+  const solved = !state.broken && !state.cells.includes(0);
+  if (!solved) {
+    level = DIFFICULTY_TIERS.length;
+    score += GUESS_WEIGHT;
+  }
+  return { tier: DIFFICULTY_TIERS[level - 1], score, techniques, solved };
+}
+
+/**
+ * 무작위 완성 그리드: 기본 패턴에서 밴드/스택, 밴드 안의 행/스택 안의 열, 숫자를 섞음
+ * (백트래킹 없이 만들어서 16x16/25x25 에서도 바로 끝남)
+ */
+function randomSolution(geo, rng) {
+  const { size, box } = geo;
+  const groups = () => shuffle([...Array(box).keys()], rng);
+  const rows = groups().flatMap(band => groups().map(r => band * box + r));
+  const cols = groups().flatMap(stack => groups().map(c => stack * box + c));
+  const digits = shuffle([...Array(size).keys()].map(d => d + 1), rng);
+
+  const cells = [];
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      cells.push(digits[(box * (rows[r] % box) + Math.floor(rows[r] / box) + cols[c]) % size]);
+    }
+  }
+  return cells;
+}
+
+// 유일해 여부를 확인할 때 탐색 노드 상한 (넘으면 그 칸은 지우지 않음, 큰 그리드의 생성 시간 제한)
+const GENERATE_MAX_NODES = Number(process.env.SUDOKU_GENERATE_MAX_NODES || 20000);
+const MIN_CLUES = { 4: 4, 9: 17 }; // 유일해가 가능한 최소 힌트 수 (알려진 값, 나머지는 size - 1)
+
+/**
+ * 유일해 퍼즐 생성
+ * - 무작위 완성 그리드에서 (기본: 점대칭으로 두 칸씩) 숫자를 지우되, 해가 하나로 유지될 때만 지움
+ * - size: 그리드 한 변 (GRID_SIZES, 기본 9)
+ * - clues: 목표 힌트 수, 도달하지 못하면 다시 생성
+ * - difficulty: 목표 단계 (DIFFICULTY_TIERS), 지울 때 그보다 어려워지면 되돌리고, 끝났을 때 단계가 같아야 함
+ * - seed: 같은 seed 면 같은 퍼즐 (테스트 데이터 재현용)
+ * 반환: { puzzle, solution (size x size 배열), clues, rating } / maxAttempts 번 안에 못 만들면 예외
+ */
+function generatePuzzle({ size = 9, clues = null, difficulty = null, seed = null, symmetric = true, maxAttempts = 1000 } = {}) {
+  if (!GRID_SIZES.includes(size)) throw new Error(`size must be one of ${GRID_SIZES.join(', ')}`);
+  const geo = geometry(size);
+  const minClues = MIN_CLUES[size] || size - 1;
+  if (clues != null && !(Number.isInteger(clues) && clues >= minClues && clues <= geo.total)) {
+    throw new Error(`clues must be an integer between ${minClues} and ${geo.total}`);
+  }
+  const targetLevel = difficulty == null ? null : DIFFICULTY_TIERS.indexOf(difficulty) + 1;
+  if (targetLevel === 0) throw new Error(`difficulty must be one of ${DIFFICULTY_TIERS.join(', ')}`);
+
+  const rng = createRng(seed);
+  const levelOf = cells => DIFFICULTY_TIERS.indexOf(rateCells(cells, geo).tier) + 1;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const solution = randomSolution(geo, rng);
+    const puzzle = solution.slice();
+    let count = geo.total;
+
+    const order = shuffle([...Array(geo.total).keys()], rng);
+    for (const i of order) {
+      if (clues != null && count <= clues) break;
+      const mirror = geo.total - 1 - i;
+      const group = symmetric && i !== mirror ? [i, mirror] : [i];
+      if (group.some(j => puzzle[j] === 0)) continue;
+      if (clues != null && count - group.length < clues) continue;
+
+      for (const j of group) puzzle[j] = 0;
+      const check = search(puzzle, geo, 2, GENERATE_MAX_NODES);
+      if (check.aborted || check.count !== 1 || (targetLevel != null && levelOf(puzzle) > targetLevel)) {
+        for (const j of group) puzzle[j] = solution[j];
+        continue;
+      }
+      count -= group.length;
+    }
+
+    if (clues != null && count !== clues) continue;
+    const rating = rateCells(puzzle, geo);
+    if (targetLevel != null && rating.tier !== difficulty) continue;
+    return { puzzle: toRows(puzzle, size), solution: toRows(solution, size), clues: count, rating };
+  }
+  throw new Error(`could not generate a puzzle (size=${size}, clues=${clues}, difficulty=${difficulty}) in ${maxAttempts} attempts`);
+}
+
+module.exports = {
+  GRID_SIZES,
+  parseSudokuGrid,
+  formatSudokuGrid,
+  compareSudokuOutput,
+  DIFFICULTY_TIERS,
+  solveSudoku,
+  countSolutions,
+  hasUniqueSolution,
+  rateDifficulty,
+  generatePuzzle
+};
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compareOutput } = require('../comparators');
+
+// [비교기, 출력, 정답, 통과 여부]
+const CASES = [
+  ['exact', '1 2\n3 4\n', '1 2\n3 4\n', true],
+  ['exact', '1 2\n3 4', '1 2\n3 4\n', true],
+  ['exact', '1 2\n3 4\n\n\n', '1 2\n3 4', true],
+  ['exact', '1 2\r\n3 4\r\n', '1 2\n3 4\n', true],
+  ['exact', '1 2\r3 4\r', '1 2\n3 4\n', true],
+  ['exact', '1 2 \n3 4\n', '1 2\n3 4\n', false],
+  ['exact', '1  2\n3 4\n', '1 2\n3 4\n', false],
+  ['exact', '\n1 2\n3 4\n', '1 2\n3 4\n', false],
+  ['exact', '1 2\n', '1 2\n3 4\n', false],
+  ['exact', '', '', true],
+  ['exact', null, '\n', true],
+  ['whitespace', '1 2 \t\n3   4\n\n', '1 2\n3 4', true],
+  ['whitespace', '1 2\r\n3 4\r\n', '1 2\n3 4\n', true],
+  ['whitespace', '  1\n2\n3\n4', '1 2 3 4', true],
+  ['whitespace', '1 2 3', '1 2 3 4', false],
+  ['whitespace', '1 2 3 4 5', '1 2 3 4', false],
+  ['whitespace', '1.0', '1', false],
+  ['whitespace', '0.1', '0.10', false],
+  ['whitespace', '1e2', '100', false],
+  ['whitespace', '', '   \n', true],
+  ['float', '0.333333 \r\n', '0.3333333333', true],
+  ['float', '0.333332', '0.3333333333', false],
+  ['float', '1.0000005', '1', true],
+  ['float', '1.000002', '1', false],
+  ['float', '-0', '0', true],
+  ['float', '.5 1e-7', '0.5 0', true],
+  ['float', '1e-5', '0', false],
+  // 큰 값은 상대 오차 1e-6 까지
+  ['float', '1000000.5', '1000000', true],
+  ['float', '1000002', '1000000', false],
+  ['float', '1 2', '1 2 3', false],
+  ['float', 'yes 1.0', 'yes 1', true],
+  ['float', 'Yes 1', 'yes 1', false],
+  ['float', 'nan', 'nan', true],
+  ['float', '0x10', '16', false],
+  ['float', 'Infinity', '1e400', false]
+];
+
+for (const [name, stdout, expected, ok] of CASES) {
+  test(`${name}: ${JSON.stringify(stdout)} vs ${JSON.stringify(expected)} -> ${ok ? 'ok' : 'mismatch'}`, () => {
+    const res = compareOutput(name, stdout, expected);
+    assert.equal(res.ok, ok);
+    if (!ok) assert.equal(res.reason, 'mismatch');
+  });
+}
+
+test('reports the first differing line or token', () => {
+  assert.deepEqual(compareOutput('exact', 'a\nb\nc', 'a\nx\nc'), { ok: false, reason: 'mismatch', line: 2, got: 'b', expected: 'x' });
+  assert.deepEqual(compareOutput('exact', 'a', 'a\nb'), { ok: false, reason: 'mismatch', line: 2, got: undefined, expected: 'b' });
+  assert.deepEqual(compareOutput('whitespace', '1 2 3', '1 2 4'), { ok: false, reason: 'mismatch', token: 3, got: '3', expected: '4' });
+  assert.deepEqual(compareOutput('float', '1.5 2.5', '1.5 2.6'), { ok: false, reason: 'mismatch', token: 2, got: '2.5', expected: '2.6' });
+});
+
+test('compares sudoku output as grids with CRLF and extra spaces', () => {
+  const expected = [
+    '534678912', '672195348', '198342567', '859761423', '426853791',
+    '713924856', '961537284', '287419635', '345286179'
+  ].join('\n');
+  const spaced = expected.split('\n').map(row => row.split('').join(' ') + ' ').join('\r\n') + '\r\n';
+  assert.equal(compareOutput('sudoku', spaced, expected).ok, true);
+  assert.equal(compareOutput('sudoku', expected.replace('534', '435'), expected).ok, false);
+});
+
+test('rejects an unknown comparator', () => {
+  assert.throws(() => compareOutput('regex', '1', '1'), /unknown comparator: regex/);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { createRateLimiter, createInFlightTracker, byIp } = require('../ratelimit');
+
+// express 의 req/res 중 미들웨어가 쓰는 부분만
+function fakeRes() {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.body = null;
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+}
+
+// 미들웨어를 한 번 통과시키고 next 가 불렸는지와 응답 반환
+function hit(middleware, req) {
+  const res = fakeRes();
+  let passed = false;
+  middleware(req, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('rejects requests over the limit with 429 and Retry-After, then allows them after the window', async () => {
+  const limit = createRateLimiter({ name: 'submit', windowMs: 200, max: 2 });
+  const req = { user: { id: 1 }, ip: '10.0.0.1' };
+
+  assert.equal(hit(limit, req).passed, true);
+  assert.equal(hit(limit, req).passed, true);
+  const blocked = hit(limit, req);
+  assert.equal(blocked.passed, false);
+  assert.equal(blocked.res.statusCode, 429);
+  assert.equal(blocked.res.headers['Retry-After'], '1');
+  assert.equal(blocked.res.body.retryAfterSec, 1);
+  assert.match(blocked.res.body.error, /too many submit requests/);
+
+  await sleep(250);
+  assert.equal(hit(limit, req).passed, true);
+});
+
+test('slides the window per request instead of resetting it', async () => {
+  const limit = createRateLimiter({ name: 'auth', windowMs: 200, max: 2 });
+  const req = { ip: '10.0.0.1' };
+
+  assert.equal(hit(limit, req).passed, true);
+  await sleep(120);
+  assert.equal(hit(limit, req).passed, true);
+  await sleep(120);
+  // 첫 요청만 윈도를 벗어나서 1개 자리가 남음
+  assert.equal(hit(limit, req).passed, true);
+  assert.equal(hit(limit, req).passed, false);
+});
+
+test('keys logged-in requests by user and anonymous ones by IP', () => {
+  const limit = createRateLimiter({ name: 'submit', windowMs: 60000, max: 1 });
+
+  assert.equal(hit(limit, { user: { id: 1 }, ip: '10.0.0.1' }).passed, true);
+  // 같은 IP 의 다른 유저, 같은 유저의 다른 IP
+  assert.equal(hit(limit, { user: { id: 2 }, ip: '10.0.0.1' }).passed, true);
+  assert.equal(hit(limit, { user: { id: 1 }, ip: '10.0.0.2' }).passed, false);
+  // 로그인하지 않은 요청은 IP 기준 (유저 키와 섞이지 않음)
+  assert.equal(hit(limit, { ip: '10.0.0.1' }).passed, true);
+  assert.equal(hit(limit, { ip: '10.0.0.1' }).passed, false);
+});
+
+test('keys by IP regardless of login with byIp', () => {
+  const limit = createRateLimiter({ name: 'submit', windowMs: 60000, max: 1, key: byIp });
+
+  assert.equal(hit(limit, { user: { id: 1 }, ip: '10.0.0.1' }).passed, true);
+  assert.equal(hit(limit, { user: { id: 2 }, ip: '10.0.0.1' }).passed, false);
+  assert.equal(hit(limit, { user: { id: 1 }, ip: '10.0.0.2' }).passed, true);
+});
+
+test('does not limit when max is 0', () => {
+  const limit = createRateLimiter({ name: 'run', windowMs: 60000, max: 0 });
+  for (let i = 0; i < 5; i++) assert.equal(hit(limit, { ip: '10.0.0.1' }).passed, true);
+});
+
+test('counts in-flight requests per key and releases them when the response finishes', () => {
+  const inFlight = createInFlightTracker({ key: req => req.user.id });
+
+  const a = hit(inFlight, { user: { id: 1 } });
+  const b = hit(inFlight, { user: { id: 1 } });
+  hit(inFlight, { user: { id: 2 } });
+  assert.equal(a.passed, true);
+  assert.equal(inFlight.count(1), 2);
+  assert.equal(inFlight.count(2), 1);
+  assert.equal(inFlight.count(3), 0);
+
+  a.res.emit('finish');
+  a.res.emit('close');
+  assert.equal(inFlight.count(1), 1);
+  b.res.emit('finish');
+  assert.equal(inFlight.count(1), 0);
+  assert.equal(inFlight.count(2), 1);
+});
+
+test('releases an in-flight request that ends with an error response or a dropped connection', () => {
+  const inFlight = createInFlightTracker({ key: req => req.user.id });
+
+  const failed = hit(inFlight, { user: { id: 1 } });
+  failed.res.status(500).json({ error: 'boom' });
+  failed.res.emit('finish');
+  assert.equal(inFlight.count(1), 0);
+
+  // 응답 전에 연결이 끊긴 경우 (finish 없이 close 만)
+  const dropped = hit(inFlight, { user: { id: 1 } });
+  assert.equal(inFlight.count(1), 1);
+  dropped.res.emit('close');
+  assert.equal(inFlight.count(1), 0);
+
+  // 한 번 풀린 요청이 다시 이벤트를 받아도 다른 요청의 예약은 그대로
+  const other = hit(inFlight, { user: { id: 1 } });
+  dropped.res.emit('finish');
+  assert.equal(inFlight.count(1), 1);
+  other.res.emit('close');
+  assert.equal(inFlight.count(1), 0);
+});
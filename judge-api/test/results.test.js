@@ -0,0 +1,210 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const { createNonce, createBatchParser, caseVerdict } = require('../results');
+const { getLanguage } = require('../languages');
+
+const GRID_4 = '1 2 3 4 3 4 1 2 2 1 4 3 4 3 2 1';
+const NONCE = 'a1b2c3d4e5f60718293a4b5c6d7e8f90';
+
+// 이번 실행의 nonce 를 붙인 결과 줄
+const line = (idx, rest) => `${NONCE} CASE ${idx} STATUS ${rest}`;
+
+// 줄 목록을 순서대로 넣고 결과 반환
+function parse(lines, caseCount, size = 4, cpu = {}) {
+  const parser = createBatchParser(caseCount, size, NONCE);
+  const accepted = lines.map(l => parser.push(l));
+  return { accepted, ...parser.result(cpu) };
+}
+
+test('makes a fresh hex nonce for every run', () => {
+  const a = createNonce();
+  assert.match(a, /^[0-9a-f]{32}$/);
+  assert.notEqual(a, createNonce());
+});
+
+test('accepts one line per case in order and times them by reported CPU time', () => {
+  const res = parse([line(0, `0 CPU_US 120400 GRID ${GRID_4}`), line(1, `0 CPU_US 30000 GRID ${GRID_4}`)], 2);
+  assert.equal(res.forged, null);
+  assert.deepEqual(res.accepted, [true, true]);
+  assert.deepEqual(res.statuses, [0, 0]);
+  assert.deepEqual(res.times, [120, 30]);
+  assert.deepEqual(res.grids[1], [[1, 2, 3, 4], [3, 4, 1, 2], [2, 1, 4, 3], [4, 3, 2, 1]]);
+});
+
+test('leaves a missing final case empty', () => {
+  const res = parse([line(0, `0 CPU_US 10000 GRID ${GRID_4}`)], 2);
+  assert.equal(res.forged, null);
+  assert.deepEqual(res.statuses, [0, null]);
+  assert.deepEqual(res.times, [10, null]);
+  assert.equal(res.grids[1], null);
+});
+
+test('records a failure status without a grid', () => {
+  const res = parse([line(0, '5 CPU_US 10000')], 2);
+  assert.equal(res.forged, null);
+  assert.deepEqual(res.statuses, [5, null]);
+});
+
+test('charges kernel CPU time beyond the startup grace to the first case', () => {
+  const lines = [line(0, `0 CPU_US 10000 GRID ${GRID_4}`), line(1, `0 CPU_US 20000 GRID ${GRID_4}`)];
+  // 보고 합 30 ms, 커널 1530 ms, 여유 1000 ms → 남는 500 ms 를 첫 케이스에
+  assert.deepEqual(parse(lines, 2, 4, { cpuMs: 1530, graceMs: 1000 }).times, [510, 20]);
+  // 시작 시간 여유 안쪽이면 보고된 값 그대로
+  assert.deepEqual(parse(lines, 2, 4, { cpuMs: 900, graceMs: 1000 }).times, [10, 20]);
+  // 커널 값이 없으면 (보고서 없음) 보고된 값 그대로
+  assert.deepEqual(parse(lines, 2, 4, { cpuMs: null, graceMs: 1000 }).times, [10, 20]);
+  // 결과 줄이 하나도 없으면 맞출 케이스도 없음
+  assert.deepEqual(parse([], 2, 4, { cpuMs: 5000, graceMs: 1000 }).times, [null, null]);
+});
+
+for (const [name, lines] of [
+  ['duplicate line', [line(0, `0 CPU_US 0 GRID ${GRID_4}`), line(0, `0 CPU_US 0 GRID ${GRID_4}`)]],
+  ['out-of-order line', [line(1, `0 CPU_US 0 GRID ${GRID_4}`)]],
+  ['case beyond the count', [0, 1, 2, 3].map(i => line(i, `0 CPU_US 0 GRID ${GRID_4}`))],
+  ['line after a failure', [line(0, '5 CPU_US 0'), line(1, `0 CPU_US 0 GRID ${GRID_4}`)]],
+  ['success without a grid', [line(0, '0 CPU_US 0')]],
+  ['failure with a grid', [line(0, `1 CPU_US 0 GRID ${GRID_4}`)]],
+  ['grid of the wrong size', [line(0, '0 CPU_US 0 GRID 1 2 3')]],
+  ['line without CPU time', [line(0, `0 GRID ${GRID_4}`)]],
+  ['line with a negative CPU time', [line(0, `0 CPU_US -5 GRID ${GRID_4}`)]],
+  ['line with another nonce', [`${'f'.repeat(32)} CASE 0 STATUS 0 CPU_US 0 GRID ${GRID_4}`]],
+  ['line without a nonce', [`CASE 0 STATUS 0 CPU_US 0 GRID ${GRID_4}`]],
+  ['line from the arrival-time protocol', [`CASE 0 STATUS 0 GRID ${GRID_4}`]],
+  ['signed line from the old protocol', [`CASE 0 STATUS 0 GRID ${GRID_4} MAC ${'0'.repeat(64)}`]],
+  ['stray text', ['hello']]
+]) {
+  test(`rejects a ${name} and drops every result`, () => {
+    const res = parse(lines, 3, 4, { cpuMs: 5000, graceMs: 1000 });
+    assert.notEqual(res.forged, null);
+    assert.equal(res.accepted.at(-1), false);
+    assert.deepEqual(res.statuses, [null, null, null]);
+    assert.deepEqual(res.times, [null, null, null]);
+  });
+}
+
+test('rejects every line after a forged one', () => {
+  const parser = createBatchParser(2, 4, NONCE);
+  assert.equal(parser.push(`CASE 0 STATUS 0 CPU_US 0 GRID ${GRID_4}`), false);
+  assert.equal(parser.push(line(0, `0 CPU_US 0 GRID ${GRID_4}`)), false);
+  assert.match(parser.result().forged, /malformed/);
+});
+
+// 실제 JavaScript 하네스를 띄워 사용자 코드가 fd 3 에 직접 쓴 줄을 호스트가 어떻게 받는지 확인
+function runJsHarness(userCode, stdin = HARNESS_INPUT) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'results-test-'));
+  const file = path.join(dir, 'main.js');
+  fs.writeFileSync(file, getLanguage('javascript').buildHarness(userCode, { gridSize: 4 }));
+
+  return new Promise((resolve, reject) => {
+    const nonce = createNonce();
+    const parser = createBatchParser(1, 4, nonce);
+    const child = spawn(process.execPath, [file], { stdio: ['pipe', 'ignore', 'ignore', 'pipe'] });
+    let rest = '';
+    child.stdio[3].on('data', (d) => {
+      const lines = (rest + d).split('\n');
+      rest = lines.pop();
+      for (const l of lines) parser.push(l);
+    });
+    child.on('error', reject);
+    child.on('close', () => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      resolve(parser.result());
+    });
+    child.stdin.end(`${nonce}\n${stdin}`);
+  });
+}
+
+const HARNESS_INPUT = `1\n${'0 '.repeat(16)}\n0 0 1 1 0 0 1 1 2 2 3 3 2 2 3 3\n0\n`;
+
+test('accepts the line the harness writes with the run nonce', async () => {
+  const res = await runJsHarness(`
+function solveSudoku(grid) {
+  return [[1, 2, 3, 4], [3, 4, 1, 2], [2, 1, 4, 3], [4, 3, 2, 1]];
+}`);
+  assert.equal(res.forged, null);
+  assert.deepEqual(res.statuses, [0]);
+  assert.ok(res.times[0] >= 0);
+});
+
+for (const [name, prefix] of [['without the nonce', ''], ['with a guessed nonce', `${'0'.repeat(32)} `]]) {
+  test(`rejects a result line user code writes to the channel ${name}`, async () => {
+    const res = await runJsHarness(`
+function solveSudoku(grid) {
+  require('fs').writeSync(3, '${prefix}CASE 0 STATUS 0 CPU_US 0 GRID ${GRID_4}\\n');
+  process.exit(0);
+}`);
+    assert.notEqual(res.forged, null);
+    assert.deepEqual(res.statuses, [null]);
+    assert.deepEqual(res.grids, [null]);
+  });
+}
+
+test('reports the CPU time spent in solveSudoku', async () => {
+  const res = await runJsHarness(`
+function solveSudoku(grid) {
+  const until = Date.now() + 300;
+  while (Date.now() < until) {}
+  return [[1, 2, 3, 4], [3, 4, 1, 2], [2, 1, 4, 3], [4, 3, 2, 1]];
+}`);
+  assert.equal(res.forged, null);
+  assert.ok(res.times[0] >= 250, `expected about 300 ms, got ${res.times[0]}`);
+});
+
+// 실행 결과 (runWithTime 반환값 중 caseVerdict 가 보는 필드)
+const finished = { timeout: false, violation: null, signal: null, exitCode: 0 };
+const killedAtCase = { ...finished, timeout: true, caseTimeout: { index: 1, limitMs: 1000 }, exitCode: 137 };
+
+for (const [name, cell] of [['a hole', 'undefined'], ['NaN', 'NaN'], ['a huge value', '1e21'], ['a fraction', '2.5'], ['a word', "'x'"]]) {
+  test(`reports a grid with ${name} as a failed check, not a forged line`, async () => {
+    const res = await runJsHarness(`
+function solveSudoku(grid) {
+  return [[1, 2, 3, 4], [3, 4, 1, 2], [2, 1, 4, 3], [4, 3, 2, ${cell}]];
+}`);
+    assert.equal(res.forged, null);
+    assert.deepEqual(res.statuses, [1]);
+    assert.deepEqual(caseVerdict(res.statuses[0], { ...finished, exitCode: 1 }), { status: 'WA', reason: 'out_of_range' });
+  });
+}
+
+test('accepts integer cells given as numeric strings', async () => {
+  const res = await runJsHarness(`
+function solveSudoku(grid) {
+  return [['1', 2, 3, 4], [3, 4, 1, 2], [2, 1, 4, 3], [4, 3, 2, 1]];
+}`);
+  assert.equal(res.forged, null);
+  assert.deepEqual(res.statuses, [0]);
+  assert.deepEqual(res.grids[0], [[1, 2, 3, 4], [3, 4, 1, 2], [2, 1, 4, 3], [4, 3, 2, 1]]);
+});
+
+test('per-case TLE only hits the case that never reported', () => {
+  assert.deepEqual(caseVerdict(0, killedAtCase, { timeMs: 40, limitMs: 1000 }), { status: 'AC', reason: null });
+  assert.deepEqual(caseVerdict(null, killedAtCase, { timeMs: null, limitMs: 1000 }), { status: 'TLE', reason: 'time_limit' });
+});
+
+test('a reported case over its limit is TLE even when the run finished', () => {
+  assert.deepEqual(caseVerdict(0, finished, { timeMs: 1001, limitMs: 1000 }), { status: 'TLE', reason: 'time_limit' });
+  assert.deepEqual(caseVerdict(0, finished, { timeMs: 1000, limitMs: 1000 }), { status: 'AC', reason: null });
+  assert.deepEqual(caseVerdict(0, finished, { timeMs: 5000 }), { status: 'AC', reason: null });
+});
+
+test('a failed check keeps its own reason unless the time limit was exceeded', () => {
+  assert.deepEqual(caseVerdict(4, finished, { timeMs: 10, limitMs: 1000 }), { status: 'WA', reason: 'wrong_answer' });
+  assert.deepEqual(caseVerdict(5, finished), { status: 'RE', reason: 'exception' });
+  assert.deepEqual(caseVerdict(6, finished), { status: 'MLE', reason: 'memory_limit' });
+  assert.deepEqual(caseVerdict(4, finished, { timeMs: 2000, limitMs: 1000 }), { status: 'TLE', reason: 'time_limit' });
+});
+
+test('a case without a result line takes the cause from the run', () => {
+  const forged = { ...finished, violation: { type: 'result', message: 'security violation: malformed result line (case 0)' } };
+  assert.deepEqual(caseVerdict(null, forged), { status: 'RE', reason: 'forged_result' });
+  assert.deepEqual(caseVerdict(null, { ...finished, violation: { type: 'memory' } }), { status: 'MLE', reason: 'memory_limit' });
+  assert.deepEqual(caseVerdict(null, { ...finished, violation: { type: 'cpu' } }), { status: 'TLE', reason: 'time_limit' });
+  assert.deepEqual(caseVerdict(null, { ...finished, signal: 11, exitCode: 139 }), { status: 'RE', reason: 'signal' });
+  assert.deepEqual(caseVerdict(null, { ...finished, exitCode: 1 }), { status: 'RE', reason: 'exit_code' });
+  assert.deepEqual(caseVerdict(null, finished), { status: 'WA', reason: 'missing_output' });
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeSource, fingerprint, findSimilarPairs } = require('../similarity');
+
+const ORIGINAL = `
+#include <vector>
+using namespace std;
+
+// 백트래킹
+bool ok(vector<vector<int>>& g, int r, int c, int v) {
+  for (int i = 0; i < 9; i++) {
+    if (g[r][i] == v || g[i][c] == v) return false;
+  }
+  int br = r / 3 * 3, bc = c / 3 * 3;
+  for (int i = 0; i < 3; i++)
+    for (int j = 0; j < 3; j++)
+      if (g[br + i][bc + j] == v) return false;
+  return true;
+}
+
+bool go(vector<vector<int>>& g, int pos) {
+  if (pos == 81) return true;
+  int r = pos / 9, c = pos % 9;
+  if (g[r][c] != 0) return go(g, pos + 1);
+  for (int v = 1; v <= 9; v++) {
+    if (ok(g, r, c, v)) {
+      g[r][c] = v;
+      if (go(g, pos + 1)) return true;
+      g[r][c] = 0;
+    }
+  }
+  return false;
+}
+`;
+
+// 식별자 이름, 공백, 주석, 문자열/숫자 리터럴만 바꾼 사본
+const RENAMED = `
+#include <vector>
+#include <cstdio>
+using namespace std;
+/* copied */
+bool canPlace(vector<vector<int>>& board,int row,int col,int digit){
+    for(int k=0;k<9;k++){ if(board[row][k]==digit||board[k][col]==digit) return false; }
+    int boxRow=row/3*3, boxCol=col/3*3;
+    for(int a=0;a<3;a++) for(int b=0;b<3;b++) if(board[boxRow+a][boxCol+b]==digit) return false;   // box
+    return true;
+}
+bool solve(vector<vector<int>>& board, int cell) {
+    if (cell == 81) return true;
+    int row = cell / 9, col = cell % 9;
+    if (board[row][col] != 0) return solve(board, cell + 1);
+    for (int digit = 1; digit <= 9; digit++) {
+        if (canPlace(board, row, col, digit)) {
+            board[row][col] = digit;
+            if (solve(board, cell + 1)) return true;
+            board[row][col] = 0;
+        }
+    }
+    return false;
+}
+`;
+
+// 같은 문제를 다른 방식(후보 비트마스크)으로 푼 코드
+const UNRELATED = `
+#include <vector>
+using namespace std;
+
+int rowMask[9], colMask[9], boxMask[9];
+
+void init(const vector<vector<int>>& g) {
+  for (int r = 0; r < 9; r++) {
+    for (int c = 0; c < 9; c++) {
+      if (!g[r][c]) continue;
+      int bit = 1 << g[r][c];
+      rowMask[r] |= bit;
+      colMask[c] |= bit;
+      boxMask[(r / 3) * 3 + c / 3] |= bit;
+    }
+  }
+}
+
+bool fill(vector<vector<int>>& g) {
+  int best = -1, bestCount = 10, bestMask = 0;
+  for (int p = 0; p < 81; p++) {
+    if (g[p / 9][p % 9]) continue;
+    int mask = ~(rowMask[p / 9] | colMask[p % 9] | boxMask[(p / 27) * 3 + (p % 9) / 3]) & 0x3fe;
+    int count = __builtin_popcount(mask);
+    if (count < bestCount) { best = p; bestCount = count; bestMask = mask; }
+  }
+  if (best < 0) return true;
+  while (bestMask) {
+    int bit = bestMask & -bestMask;
+    bestMask ^= bit;
+    int v = __builtin_ctz(bit);
+    rowMask[best / 9] ^= bit; colMask[best % 9] ^= bit; boxMask[(best / 27) * 3 + (best % 9) / 3] ^= bit;
+    g[best / 9][best % 9] = v;
+    if (fill(g)) return true;
+    g[best / 9][best % 9] = 0;
+    rowMask[best / 9] ^= bit; colMask[best % 9] ^= bit; boxMask[(best / 27) * 3 + (best % 9) / 3] ^= bit;
+  }
+  return false;
+}
+`;
+
+// 두 지문의 자카드 유사도
+function jaccard(a, b) {
+  const shared = [...a].filter(h => b.has(h)).length;
+  return shared / (a.size + b.size - shared);
+}
+
+test('normalizes identifiers, literals, comments and whitespace', () => {
+  assert.deepEqual(normalizeSource('int x = 10; // hi', 'cpp'), ['int', 'V', '=', 'N', ';']);
+  assert.deepEqual(normalizeSource('int  total=0x1F;/* note */', 'cpp'), ['int', 'V', '=', 'N', ';']);
+  assert.deepEqual(normalizeSource('#include <cstdio>\nputs("a // b");', 'cpp'), ['V', '(', 'S', ')', ';']);
+  assert.deepEqual(normalizeSource('x = "s"  # note\ny = 2', 'python3'), ['V', '=', 'S', 'V', '=', 'N']);
+  assert.deepEqual(normalizeSource('const s = `a ${b}`;', 'javascript'), ['const', 'V', '=', 'S', ';']);
+});
+
+test('gives renamed and reformatted code the same tokens and fingerprint', () => {
+  assert.deepEqual(normalizeSource(RENAMED, 'cpp'), normalizeSource(ORIGINAL, 'cpp'));
+  assert.deepEqual(fingerprint(RENAMED, 'cpp'), fingerprint(ORIGINAL, 'cpp'));
+  assert.ok(fingerprint(ORIGINAL, 'cpp').size > 0);
+});
+
+test('keeps unrelated code well below the threshold', () => {
+  assert.ok(jaccard(fingerprint(ORIGINAL, 'cpp'), fingerprint(UNRELATED, 'cpp')) < 0.3);
+});
+
+test('fingerprints tiny code by its single smallest k-gram and empty code as nothing', () => {
+  assert.equal(fingerprint('', 'cpp').size, 0);
+  assert.equal(fingerprint('int a;', 'cpp').size, 0);
+  assert.equal(fingerprint('int a = b + c * d;', 'cpp').size, 1);
+});
+
+test('reports the renamed copy between different users and skips unrelated code', () => {
+  const subs = [
+    { id: 1, user_id: 10, code: ORIGINAL, language: 'cpp' },
+    { id: 2, user_id: 20, code: RENAMED, language: 'cpp' },
+    { id: 3, user_id: 30, code: UNRELATED, language: 'cpp' }
+  ];
+  const pairs = findSimilarPairs(subs, 0.8);
+  assert.equal(pairs.length, 1);
+  assert.equal(pairs[0].a.id, 1);
+  assert.equal(pairs[0].b.id, 2);
+  assert.equal(pairs[0].similarity, 1);
+  assert.ok(pairs[0].shared > 0);
+});
+
+test('ignores the same user and other languages', () => {
+  const sameUser = [
+    { id: 1, user_id: 10, code: ORIGINAL, language: 'cpp' },
+    { id: 2, user_id: 10, code: RENAMED, language: 'cpp' }
+  ];
+  assert.deepEqual(findSimilarPairs(sameUser, 0.8), []);
+
+  const otherLanguage = [
+    { id: 1, user_id: 10, code: ORIGINAL, language: 'cpp' },
+    { id: 2, user_id: 20, code: RENAMED, language: 'c' }
+  ];
+  assert.deepEqual(findSimilarPairs(otherLanguage, 0.8), []);
+});
+
+test('keeps only the most similar submission pair per user pair', () => {
+  const subs = [
+    { id: 1, user_id: 10, code: ORIGINAL, language: 'cpp' },
+    { id: 2, user_id: 20, code: RENAMED, language: 'cpp' },
+    { id: 3, user_id: 20, code: RENAMED.replace('return false;\n}\n', 'return false;\n}\nint spare(int q) { return q * q + q * 2 + 1; }\n'), language: 'cpp' }
+  ];
+  const pairs = findSimilarPairs(subs, 0.5);
+  assert.equal(pairs.length, 1);
+  assert.equal(pairs[0].b.id, 2);
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DIFFICULTY_TIERS,
+  parseSudokuGrid,
+  formatSudokuGrid,
+  compareSudokuOutput,
+  solveSudoku,
+  countSolutions,
+  hasUniqueSolution,
+  rateDifficulty,
+  generatePuzzle
+} = require('../sudoku');
+
+// 해가 하나인 잘 알려진 퍼즐과 그 해
+const PUZZLE = `
+530070000
+600195000
+098000060
+800060003
+400803001
+700020006
+060000280
+000419005
+000080079`;
+const SOLUTION = `
+534678912
+672195348
+198342567
+859761423
+426853791
+713924856
+961537284
+287419635
+345286179`;
+
+// 숫자 그리드 <-> 9줄 텍스트
+const toGrid = text => parseSudokuGrid(text).map(row => row.map(Number));
+const toText = grid => grid.map(row => row.join('')).join('\n');
+
+test('solves a known puzzle with a unique solution', () => {
+  assert.deepEqual(solveSudoku(PUZZLE), toGrid(SOLUTION));
+  assert.equal(countSolutions(PUZZLE), 1);
+  assert.equal(hasUniqueSolution(PUZZLE), true);
+});
+
+test('counts a puzzle with several solutions up to the limit', () => {
+  // 처음 두 줄만 남기면 힌트 18개로 해가 여러 개
+  const twoRows = SOLUTION.trim().split('\n').map((row, r) => (r < 2 ? row : '000000000')).join('\n');
+  assert.equal(countSolutions(twoRows), 2);
+  assert.equal(countSolutions(twoRows, 5), 5);
+  assert.equal(hasUniqueSolution(twoRows), false);
+
+  const solved = solveSudoku(twoRows);
+  assert.equal(compareSudokuOutput(solved, null, twoRows, { mode: 'valid' }).ok, true);
+});
+
+test('finds no solution for a contradictory puzzle', () => {
+  const broken = PUZZLE.replace('530070000', '530070005');
+  assert.equal(solveSudoku(broken), null);
+  assert.equal(countSolutions(broken), 0);
+  assert.equal(hasUniqueSolution(broken), false);
+  assert.equal(solveSudoku('not a sudoku'), null);
+});
+
+test('rates a singles-only puzzle easy and an open grid as needing guesses', () => {
+  const easy = rateDifficulty(PUZZLE);
+  assert.equal(easy.tier, 'easy');
+  assert.equal(easy.solved, true);
+
+  const open = rateDifficulty('0'.repeat(81));
+  assert.equal(open.tier, DIFFICULTY_TIERS.at(-1));
+  assert.ok(open.score > easy.score);
+  assert.equal(rateDifficulty('not a sudoku'), null);
+});
+
+test('generates the same unique puzzle for the same seed', () => {
+  const a = generatePuzzle({ seed: 42, difficulty: 'easy' });
+  const b = generatePuzzle({ seed: 42, difficulty: 'easy' });
+  assert.deepEqual(a.puzzle, b.puzzle);
+  assert.equal(a.rating.tier, 'easy');
+  assert.equal(hasUniqueSolution(a.puzzle), true);
+  assert.deepEqual(solveSudoku(a.puzzle), a.solution);
+  assert.equal(a.clues, a.puzzle.flat().filter(v => v !== 0).length);
+  assert.equal(compareSudokuOutput(toText(a.solution), toText(a.solution), toText(a.puzzle)).ok, true);
+});
+
+test('stops removing clues at the requested count', () => {
+  const res = generatePuzzle({ seed: 7, clues: 40 });
+  assert.equal(res.clues, 40);
+  assert.equal(hasUniqueSolution(res.puzzle), true);
+});
+
+// 박스 패턴으로 만든 완성 그리드 (size = 4, 9, 16, 25)
+function patternSolution(size) {
+  const box = Math.sqrt(size);
+  return Array.from({ length: size }, (_, r) =>
+    Array.from({ length: size }, (_, c) => ((r % box) * box + Math.floor(r / box) + c) % size + 1)
+  );
+}
+
+// 줄마다 한 칸씩 비운 퍼즐
+function blankDiagonal(grid) {
+  return grid.map((row, r) => row.map((v, c) => (c === (r * 3) % grid.length ? 0 : v)));
+}
+
+for (const size of [4, 16, 25]) {
+  test(`round-trips a ${size}x${size} grid through format and parse`, () => {
+    const grid = patternSolution(size);
+    assert.equal(compareSudokuOutput(grid, formatSudokuGrid(grid), null, { size }).ok, true);
+    assert.deepEqual(parseSudokuGrid(formatSudokuGrid(grid), size), grid);
+    assert.deepEqual(parseSudokuGrid(formatSudokuGrid(grid, { compact: true }), size), grid);
+  });
+
+  test(`solves a ${size}x${size} puzzle back to its solution`, () => {
+    const grid = patternSolution(size);
+    const puzzle = blankDiagonal(grid);
+    assert.deepEqual(solveSudoku(puzzle, size), grid);
+    assert.equal(countSolutions(formatSudokuGrid(puzzle), 2, size), 1);
+    assert.equal(compareSudokuOutput(grid, null, formatSudokuGrid(puzzle), { size, mode: 'valid' }).ok, true);
+  });
+}
+
+test('parses letter grids for sizes above 9', () => {
+  const grid = patternSolution(16);
+  const puzzle = blankDiagonal(grid);
+  const letters = puzzle.map(row => row.map(v => (v === 0 ? '.' : String.fromCharCode(64 + v))).join('')).join('\n');
+  assert.deepEqual(parseSudokuGrid(letters, 16), puzzle);
+  assert.deepEqual(parseSudokuGrid(letters.toLowerCase(), 16), puzzle);
+  // 큰 그리드의 한 글자 칸에 1~9 숫자는 쓸 수 없음
+  assert.equal(parseSudokuGrid(letters.replace('A', '1'), 16), null);
+  assert.equal(parseSudokuGrid(letters.split('\n').slice(0, 15).join('\n'), 16), null);
+});
+
+test('parses multi-digit values separated by spaces', () => {
+  const grid = patternSolution(25);
+  const text = grid.map(row => row.join(' ')).join('\n');
+  assert.deepEqual(parseSudokuGrid(text, 25), grid);
+  assert.deepEqual(parseSudokuGrid(grid.flat().join(' '), 25), grid);
+  assert.equal(parseSudokuGrid('12 3 . 0', 4), null);
+});
+
+test('rejects values outside 1..size and overwritten clues for each size', () => {
+  for (const size of [4, 9, 16, 25]) {
+    const grid = patternSolution(size);
+    const tooBig = grid.map(row => row.slice());
+    tooBig[0][0] = size + 1;
+    assert.equal(compareSudokuOutput(tooBig, null, formatSudokuGrid(grid), { size, mode: 'valid' }).reason, 'out_of_range');
+
+    const swapped = grid.map(row => row.slice());
+    [swapped[0][0], swapped[0][1]] = [swapped[0][1], swapped[0][0]];
+    assert.equal(compareSudokuOutput(swapped, null, formatSudokuGrid(grid), { size, mode: 'valid' }).reason, 'clue_overwritten');
+    assert.equal(compareSudokuOutput(swapped, formatSudokuGrid(grid), null, { size }).reason, 'invalid_sudoku');
+  }
+});
+
+test('generates unique 4x4 puzzles', () => {
+  const res = generatePuzzle({ size: 4, seed: 3 });
+  assert.equal(res.puzzle.length, 4);
+  assert.equal(hasUniqueSolution(res.puzzle, 4), true);
+  assert.deepEqual(solveSudoku(res.puzzle, 4), res.solution);
+});
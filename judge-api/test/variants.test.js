@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeVariantData, checkVariantRules, formatVariantData } = require('../variants');
+
+const CLASSIC_4 = [[1, 2, 3, 4], [3, 4, 1, 2], [2, 1, 4, 3], [4, 3, 2, 1]];
+// 두 대각선도 서로 다른 4x4 (CLASSIC_4 는 주대각선이 1, 4, 4, 1)
+const DIAGONAL_4 = [[1, 2, 3, 4], [3, 4, 1, 2], [4, 3, 2, 1], [2, 1, 4, 3]];
+const JIGSAW_REGIONS_4 = [[0, 0, 0, 1], [2, 0, 1, 1], [2, 2, 3, 1], [2, 3, 3, 3]];
+// 박스는 겹치지만 jigsaw 영역은 모두 서로 다른 그리드
+const JIGSAW_4 = [[1, 2, 3, 4], [2, 4, 1, 3], [3, 1, 4, 2], [4, 3, 2, 1]];
+const ANTIKNIGHT_4 = [[1, 2, 3, 4], [4, 3, 2, 1], [3, 4, 1, 2], [2, 1, 4, 3]];
+const ANTIKNIGHT_9 = [
+  [1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [4, 5, 6, 7, 8, 9, 1, 2, 3],
+  [7, 8, 9, 1, 2, 3, 4, 5, 6],
+  [2, 3, 1, 5, 6, 4, 8, 9, 7],
+  [5, 6, 4, 8, 9, 7, 2, 3, 1],
+  [8, 9, 7, 2, 3, 1, 5, 6, 4],
+  [3, 1, 2, 6, 4, 5, 9, 7, 8],
+  [6, 4, 5, 9, 7, 8, 3, 1, 2],
+  [9, 7, 8, 3, 1, 2, 6, 4, 5]
+];
+
+// 그리드의 8가지 대칭 (뒤집기 + 전치), 스도쿠 조건은 그대로 유지됨
+function symmetries(grid) {
+  const flipRows = g => g.slice().reverse();
+  const flipCols = g => g.map(row => row.slice().reverse());
+  const transpose = g => g.map((row, r) => row.map((_, c) => g[c][r]));
+  const out = [];
+  for (const t of [false, true]) {
+    const base = t ? transpose(grid) : grid;
+    out.push(base, flipRows(base), flipCols(base), flipRows(flipCols(base)));
+  }
+  return out;
+}
+
+// 가로 두 칸씩 묶은 케이지 (합은 grid 기준)
+function pairCages(grid) {
+  const cages = [];
+  grid.forEach((row, r) => {
+    for (let c = 0; c + 1 < row.length; c += 2) cages.push({ sum: row[c] + row[c + 1], cells: [[r, c], [r, c + 1]] });
+  });
+  return cages;
+}
+
+test('accepts killer cage sums at the range boundaries and rejects sums outside', () => {
+  // 9x9 에서 2칸 케이지는 1+2 = 3 ~ 8+9 = 17
+  for (const sum of [3, 17]) {
+    assert.deepEqual(normalizeVariantData('killer', { cages: [{ sum, cells: [[0, 0], [0, 1]] }] }),
+      { cages: [{ sum, cells: [[0, 0], [0, 1]] }] });
+  }
+  for (const sum of [2, 18, 3.5, 'x']) {
+    assert.throws(() => normalizeVariantData('killer', { cages: [{ sum, cells: [[0, 0], [0, 1]] }] }), /between 3 and 17/);
+  }
+  // 4x4 에서 4칸 케이지는 10 하나뿐
+  assert.ok(normalizeVariantData('killer', { cages: [{ sum: 10, cells: [[0, 0], [0, 1], [1, 0], [1, 1]] }] }, 4));
+  assert.throws(() => normalizeVariantData('killer', { cages: [{ sum: 11, cells: [[0, 0], [0, 1], [1, 0], [1, 1]] }] }, 4), /between 10 and 10/);
+});
+
+test('rejects malformed killer cages', () => {
+  assert.throws(() => normalizeVariantData('killer', { cages: [] }), /non-empty/);
+  assert.throws(() => normalizeVariantData('killer', {
+    cages: [{ sum: 3, cells: [[0, 0], [0, 1]] }, { sum: 3, cells: [[0, 1], [1, 1]] }]
+  }), /more than one cage/);
+  assert.throws(() => normalizeVariantData('killer', { cages: [{ sum: 3, cells: [[0, 9], [0, 1]] }] }), /invalid cell/);
+  assert.throws(() => normalizeVariantData('killer', { cages: [{ sum: 10, cells: [[0, 0], [0, 1], [0, 2], [0, 3], [1, 0]] }] }, 4), /1 to 4 cells/);
+});
+
+test('accepts connected jigsaw regions given as a JSON string', () => {
+  assert.deepEqual(normalizeVariantData('jigsaw', JSON.stringify({ regions: JIGSAW_REGIONS_4 }), 4), { regions: JIGSAW_REGIONS_4 });
+  assert.throws(() => normalizeVariantData('jigsaw', '{regions', 4), /valid JSON/);
+  assert.equal(normalizeVariantData('classic', 'ignored'), null);
+  assert.throws(() => normalizeVariantData('sandwich', null), /unknown variant/);
+});
+
+test('rejects disconnected and wrongly sized jigsaw regions', () => {
+  const disconnected = [[0, 0, 1, 1], [2, 2, 0, 0], [2, 2, 3, 3], [1, 1, 3, 3]];
+  assert.throws(() => normalizeVariantData('jigsaw', { regions: disconnected }, 4), /region 0 is not connected/);
+
+  const uneven = [[0, 0, 0, 0], [0, 1, 1, 1], [2, 2, 2, 2], [3, 3, 3, 3]];
+  assert.throws(() => normalizeVariantData('jigsaw', { regions: uneven }, 4), /region 0 must have exactly 4 cells \(has 5\)/);
+
+  assert.throws(() => normalizeVariantData('jigsaw', { regions: [[0, 1], [2, 3]] }, 4), /4x4 array/);
+  assert.throws(() => normalizeVariantData('jigsaw', { regions: JIGSAW_REGIONS_4.map(row => row.map(v => v + 1)) }, 4), /between 0 and 3/);
+});
+
+test('checks a valid and an invalid classic grid', () => {
+  assert.equal(checkVariantRules(CLASSIC_4), null);
+  assert.equal(checkVariantRules(JIGSAW_4), 'invalid_sudoku');
+  assert.equal(checkVariantRules([[1, 2, 3, 4], [2, 1, 4, 3], [3, 4, 1, 2], [4, 3, 2, 1]]), 'invalid_sudoku');
+});
+
+test('checks a valid and an invalid diagonal grid', () => {
+  assert.equal(checkVariantRules(DIAGONAL_4, 'diagonal'), null);
+  assert.equal(checkVariantRules(CLASSIC_4, 'diagonal'), 'variant_violation');
+});
+
+test('checks a valid and an invalid killer grid', () => {
+  const data = normalizeVariantData('killer', { cages: pairCages(CLASSIC_4) }, 4);
+  assert.equal(checkVariantRules(CLASSIC_4, 'killer', data), null);
+
+  const wrongSum = { cages: data.cages.map((cage, i) => (i === 0 ? { ...cage, sum: cage.sum + 1 } : cage)) };
+  assert.equal(checkVariantRules(CLASSIC_4, 'killer', wrongSum), 'variant_violation');
+
+  // 합은 같아도 케이지 안에 같은 숫자가 있으면 실패
+  const repeated = { cages: [{ sum: 5, cells: [[0, 0], [1, 2], [0, 2]] }] };
+  assert.equal(checkVariantRules(CLASSIC_4, 'killer', repeated), 'variant_violation');
+  assert.equal(formatVariantData('killer', repeated), '1\n5 3 0 0 1 2 0 2');
+});
+
+test('checks a valid and an invalid jigsaw grid against its regions instead of boxes', () => {
+  const data = { regions: JIGSAW_REGIONS_4 };
+  assert.equal(checkVariantRules(JIGSAW_4, 'jigsaw', data), null);
+  assert.equal(checkVariantRules(DIAGONAL_4, 'jigsaw', data), 'variant_violation');
+  assert.equal(checkVariantRules([[1, 2, 3, 4], [1, 2, 3, 4], [3, 4, 1, 2], [4, 3, 2, 1]], 'jigsaw', data), 'invalid_sudoku');
+  assert.equal(formatVariantData('jigsaw', data), '0 0 0 1\n2 0 1 1\n2 2 3 1\n2 3 3 3');
+});
+
+test('checks a valid and an invalid anti-knight grid', () => {
+  assert.equal(checkVariantRules(ANTIKNIGHT_4, 'antiknight'), null);
+  assert.equal(checkVariantRules(ANTIKNIGHT_9, 'antiknight'), null);
+  assert.equal(checkVariantRules(ANTIKNIGHT_9, 'classic'), null);
+  assert.equal(checkVariantRules(CLASSIC_4, 'antiknight'), 'variant_violation');
+});
+
+test('detects an anti-knight clash in every direction', () => {
+  // CLASSIC_4 는 (0,0) 과 (1,2) 가 둘 다 1, 대칭마다 나이트 이동 방향이 달라짐
+  for (const grid of symmetries(CLASSIC_4)) {
+    assert.equal(checkVariantRules(grid), null);
+    assert.equal(checkVariantRules(grid, 'antiknight'), 'variant_violation');
+  }
+  for (const grid of symmetries(ANTIKNIGHT_9)) {
+    assert.equal(checkVariantRules(grid, 'antiknight'), null);
+  }
+});
@@ -202,3 +202,11 @@ INSERT INTO test_cases (problem_id, input_text, expected_output, is_sample) VALU
 (1,'106002403004100000009006700057300600000000004410080000020004800900000000001003549','186792453574138926239456718857341692693275184412689375325914867948567231761823549',0),
 (1,'600400051000000020008009647790040000006310500003690000000030015541000002000104708','672483951954761823318529647795248136426317589183695274867932415541876392239154768',0),
 (1,'000006000000300900046007012504000027278500004000000800005063000130000060000400250','952146378781352946346897512594638127278519634613724895425963781137285469869471253',0);
+
+-- 해가 여러 개인 퍼즐: checker_mode='valid' (힌트를 지킨 올바른 스도쿠면 정답 처리)
+-- expected_output 은 가능한 해 중 하나 (참고용)
+INSERT INTO test_cases (problem_id, input_text, expected_output, is_sample, checker_mode) VALUES
+(1,'000000000000000000000000000000000000008006001046030289062703458384005702517824903','695172834873649125421358697259481376738296541146537289962713458384965712517824963',0,'valid'),
+(1,'009820605000006000000009000900000503007000940080900706004600000050173009006002058','379824615415736892268519374941267583627385941583941726194658237852173469736492158',0,'valid'),
+(1,'008260090035000600002000000070406000001920000609300200000100004100008900000700062','718263495935874621462519378273456819841927536659381247596132784127648953384795162',0,'valid'),
+(1,'000000008010000700005000601009000800000810006100050007900500100070493000000107409','792631548618945732435782691359276814247819356186354927924568173871493265563127489',0,'valid');
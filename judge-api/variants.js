@@ -0,0 +1,193 @@
+/**
+ * 스도쿠 변형 규칙 (problems.variant)
+ *
+ * - classic   : 행 / 열 / 박스
+ * - diagonal  : classic + 두 대각선에도 같은 숫자가 없어야 함
+ * - killer    : classic + 케이지 안의 숫자는 서로 다르고 합이 케이지 sum 과 같아야 함
+ * - jigsaw    : 박스 대신 불규칙 영역 (영역마다 size 칸, 상하좌우로 이어져 있어야 함)
+ * - antiknight: classic + 나이트 이동 거리의 두 칸은 같은 숫자가 아니어야 함
+ *
+ * 케이스별 데이터 (test_cases.variant_data, 좌표는 0부터)
+ * - killer: { cages: [{ sum, cells: [[r, c], ...] }, ...] } (모든 칸을 덮지 않아도 됨)
+ * - jigsaw: { regions: size x size 영역 번호 (0 ~ size-1) }
+ * - 그 외 : null
+ */
+const VARIANTS = ['classic', 'diagonal', 'killer', 'jigsaw', 'antiknight'];
+
+// 케이스마다 데이터가 필요한 변형
+const DATA_VARIANTS = ['killer', 'jigsaw'];
+
+const KNIGHT_MOVES = [[1, 2], [2, 1], [2, -1], [1, -2]]; // 반대 방향은 상대 칸에서 확인
+
+function boxRegions(size) {
+  const box = Math.round(Math.sqrt(size));
+  const regions = [];
+  for (let r = 0; r < size; r++) {
+    regions.push([]);
+    for (let c = 0; c < size; c++) regions[r].push(Math.floor(r / box) * box + Math.floor(c / box));
+  }
+  return regions;
+}
+
+function isCell(cell, size) {
+  return Array.isArray(cell) && cell.length === 2 &&
+    cell.every(v => Number.isInteger(v) && v >= 0 && v < size);
+}
+
+function normalizeCages(cages, size) {
+  if (!Array.isArray(cages) || cages.length === 0) throw new Error('killer needs a non-empty cages array');
+  const used = new Set();
+  return cages.map((cage, i) => {
+    if (!cage || typeof cage !== 'object') throw new Error(`cages[${i}] must be an object`);
+    const cells = Array.isArray(cage.cells) ? cage.cells.map(cell => (Array.isArray(cell) ? cell.map(Number) : cell)) : null;
+    if (!cells || cells.length === 0 || cells.length > size) {
+      throw new Error(`cages[${i}].cells must have 1 to ${size} cells`);
+    }
+    for (const cell of cells) {
+      if (!isCell(cell, size)) throw new Error(`cages[${i}].cells has an invalid cell: ${JSON.stringify(cell)}`);
+      const key = cell[0] * size + cell[1];
+      if (used.has(key)) throw new Error(`cell [${cell}] is in more than one cage`);
+      used.add(key);
+    }
+    // 서로 다른 숫자 n 개로 만들 수 있는 합의 범위
+    const n = cells.length;
+    const min = (n * (n + 1)) / 2;
+    const max = (n * (2 * size - n + 1)) / 2;
+    const sum = Number(cage.sum);
+    if (!Number.isInteger(sum) || sum < min || sum > max) {
+      throw new Error(`cages[${i}].sum must be an integer between ${min} and ${max}`);
+    }
+    return { sum, cells };
+  });
+}
+
+function normalizeRegions(regions, size) {
+  if (!Array.isArray(regions) || regions.length !== size ||
+      !regions.every(row => Array.isArray(row) && row.length === size)) {
+    throw new Error(`jigsaw needs regions as a ${size}x${size} array`);
+  }
+  const grid = regions.map(row => row.map(Number));
+  const cellsOf = Array.from({ length: size }, () => []);
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      const id = grid[r][c];
+      if (!Number.isInteger(id) || id < 0 || id >= size) throw new Error(`regions values must be between 0 and ${size - 1}`);
+      cellsOf[id].push([r, c]);
+    }
+  }
+  cellsOf.forEach((cells, id) => {
+    if (cells.length !== size) throw new Error(`region ${id} must have exactly ${size} cells (has ${cells.length})`);
+    // 상하좌우로 이어져 있는지 (첫 칸에서 flood fill)
+    const seen = new Set([cells[0][0] * size + cells[0][1]]);
+    const stack = [cells[0]];
+    while (stack.length > 0) {
+      const [r, c] = stack.pop();
+      for (const [dr, dc] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const nr = r + dr;
+        const nc = c + dc;
+        if (nr < 0 || nr >= size || nc < 0 || nc >= size || grid[nr][nc] !== id || seen.has(nr * size + nc)) continue;
+        seen.add(nr * size + nc);
+        stack.push([nr, nc]);
+      }
+    }
+    if (seen.size !== size) throw new Error(`region ${id} is not connected`);
+  });
+  return grid;
+}
+
+/**
+ * 케이스별 변형 데이터 검증 + 저장 형식으로 정규화 (JSON 문자열도 받음)
+ * 반환: 정규화된 객체 또는 null (데이터가 필요 없는 변형), 형식이 맞지 않으면 Error
+ */
+function normalizeVariantData(variant, data, size = 9) {
+  if (!VARIANTS.includes(variant)) throw new Error(`unknown variant: ${variant}`);
+  if (!DATA_VARIANTS.includes(variant)) return null;
+
+  let value = data;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      throw new Error('variantData must be valid JSON');
+    }
+  }
+  if (!value || typeof value !== 'object') throw new Error(`${variant} needs variantData`);
+  if (variant === 'killer') return { cages: normalizeCages(value.cages, size) };
+  return { regions: normalizeRegions(value.regions, size) };
+}
+
+// 칸별 영역 번호 (jigsaw 는 케이스의 regions, 그 외에는 박스 번호)
+function variantRegions(variant, data, size = 9) {
+  return variant === 'jigsaw' && data && data.regions ? data.regions : boxRegions(size);
+}
+
+function allDistinct(values) {
+  return new Set(values).size === values.length;
+}
+
+/**
+ * 완성된 그리드(1 ~ size)가 변형 규칙을 지키는지 확인
+ * 반환: null (통과) 또는 실패 사유 ('invalid_sudoku': 행/열/박스, 'variant_violation': 변형 규칙)
+ */
+function checkVariantRules(grid, variant = 'classic', data = null) {
+  const size = grid.length;
+  const units = [];
+  for (let i = 0; i < size; i++) {
+    units.push(grid[i]);
+    units.push(grid.map(row => row[i]));
+  }
+  if (!units.every(allDistinct)) return 'invalid_sudoku';
+
+  const regions = variantRegions(variant, data, size);
+  const regionValues = Array.from({ length: size }, () => []);
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) regionValues[regions[r][c]].push(grid[r][c]);
+  }
+  if (!regionValues.every(allDistinct)) return variant === 'jigsaw' ? 'variant_violation' : 'invalid_sudoku';
+
+  if (variant === 'diagonal') {
+    const main = grid.map((row, i) => row[i]);
+    const anti = grid.map((row, i) => row[size - 1 - i]);
+    if (!allDistinct(main) || !allDistinct(anti)) return 'variant_violation';
+  } else if (variant === 'killer') {
+    for (const cage of data.cages) {
+      const values = cage.cells.map(([r, c]) => grid[r][c]);
+      if (!allDistinct(values) || values.reduce((a, b) => a + b, 0) !== cage.sum) return 'variant_violation';
+    }
+  } else if (variant === 'antiknight') {
+    for (let r = 0; r < size; r++) {
+      for (let c = 0; c < size; c++) {
+        for (const [dr, dc] of KNIGHT_MOVES) {
+          const nr = r + dr;
+          const nc = c + dc;
+          if (nr < size && nc >= 0 && nc < size && grid[nr][nc] === grid[r][c]) return 'variant_violation';
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * classic(stdin/stdout) 문제에서 입력 그리드 뒤에 붙이는 변형 데이터 텍스트 (좌표는 0부터)
+ * - jigsaw: size 줄의 영역 번호
+ * - killer: 케이지 수 K, 이후 K 줄 "sum n r1 c1 ... rn cn"
+ * - 그 외 : 빈 문자열
+ */
+function formatVariantData(variant, data) {
+  if (variant === 'jigsaw') return data.regions.map(row => row.join(' ')).join('\n');
+  if (variant === 'killer') {
+    const lines = data.cages.map(cage => [cage.sum, cage.cells.length, ...cage.cells.flat()].join(' '));
+    return [data.cages.length, ...lines].join('\n');
+  }
+  return '';
+}
+
+module.exports = {
+  VARIANTS,
+  DATA_VARIANTS,
+  normalizeVariantData,
+  variantRegions,
+  checkVariantRules,
+  formatVariantData
+};